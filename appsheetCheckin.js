@@ -9,6 +9,7 @@
  */
 
 const fetch = require('node-fetch');
+const { httpError } = require('./retry');
 
 const TABLE_NAME = 'CheckIn';
 
@@ -62,10 +63,7 @@ async function addToCheckin(data, s3Url) {
     body: JSON.stringify(body),
   });
 
-  if (!res.ok) {
-    const errText = await res.text();
-    throw new Error(`AppSheet API error ${res.status}: ${errText}`);
-  }
+  if (!res.ok) throw await httpError(res, 'AppSheet API error');
 
   const result = await res.json();
   console.log(`  Checkin row added successfully`);
@@ -2,6 +2,8 @@
  * awsUpload.js
  * Uploads a PDF buffer to AWS S3 and returns a permanent public URL.
  * Public access is granted via bucket policy (not ACL).
+ * Every revision of a sample is kept under the same prefix (revisionKey):
+ *   <sample_id>/<sample_id>-Rev-A.pdf, <sample_id>/<sample_id>-Rev-B.pdf, ...
  *
  * Env vars required:
  *   AWS_ACCESS_KEY_ID      — IAM user access key
@@ -25,10 +27,21 @@ function getS3Client() {
   });
 }
 
+/**
+ * S3 key of one revision of a report.
+ * @param {string} reportNo — sample_id
+ * @param {string} revision — revision label, e.g. 'B'
+ * @returns {string}
+ */
+function revisionKey(reportNo, revision) {
+  const safe = (s) => String(s).replace(/[^a-zA-Z0-9\-_.]/g, '_');
+  return `${safe(reportNo)}/${safe(reportNo)}-Rev-${safe(revision)}.pdf`;
+}
+
 /**
  * Upload a PDF buffer to S3.
  * @param {Buffer} buffer   — PDF file contents
- * @param {string} filename — desired filename in S3
+ * @param {string} filename — desired key in S3 ('/' separates the prefix)
  * @returns {string} permanent public URL
  */
 async function uploadToS3(buffer, filename) {
@@ -47,9 +60,9 @@ async function uploadToS3(buffer, filename) {
     ContentType: 'application/pdf',
   }));
 
-  const url = `https://${bucket}.s3.${region}.amazonaws.com/${encodeURIComponent(filename)}`;
+  const url = `https://${bucket}.s3.${region}.amazonaws.com/${filename.split('/').map(encodeURIComponent).join('/')}`;
   console.log(`  S3 URL: ${url}`);
   return url;
 }
 
-module.exports = { uploadToS3 };
+module.exports = { uploadToS3, revisionKey };
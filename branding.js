@@ -0,0 +1,154 @@
+/**
+ * branding.js
+ * Per-customer branding profiles — logo, colours, report title, footer text
+ * and email look — read from branding.json:
+ *
+ *   {
+ *     "default":  { ...profile },
+ *     "profiles": {
+ *       "acme": { "customers": ["Acme", "Acme Industries"], ...overrides }
+ *     }
+ *   }
+ *
+ * Profile keys (all optional — anything missing comes from "default", then
+ * from the built-in look below):
+ *   logo        URL, or a file path relative to branding.json (PNG or JPEG)
+ *   title       report title on page 1 and in the email header
+ *   footerText  centred in the footer bar of pages without a section label
+ *   colors      { dark, gray, border, footerBar, footerText, indexHeader } — '#RRGGBB'
+ *   email       { senderName, headerBg, headerText, subText }
+ *
+ * Selection: Sample.branding (profile id) if given, else the profile whose
+ * "customers" list contains customer_name (case-insensitive), else default.
+ *
+ * Env vars:
+ *   BRANDING_FILE         — path to the profiles file (default: ./branding.json)
+ *   LOGO_RETRY_MINUTES    — how long a logo that failed to load is skipped
+ *                           before it is tried again (default: 5)
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { readJSON } = require('./dataStore');
+const { cachedFetch } = require('./fileCache');
+
+const BRANDING_FILE = path.resolve(process.env.BRANDING_FILE || path.join(__dirname, 'branding.json'));
+const LOGO_RETRY_MS = parseFloat(process.env.LOGO_RETRY_MINUTES || '5') * 60 * 1000;
+
+// The original hard-coded look — used for anything branding.json leaves out
+const BUILT_IN = {
+  logo:       'https://res.cloudinary.com/dbwg6zz3l/image/upload/w_300,f_png,q_90/v1773643264/Black_Yellow_kq9kef.png',
+  title:      'Quality Inspection Report',
+  footerText: '',
+  colors: {
+    dark:        '#1A1A2E',
+    gray:        '#F0F0F0',
+    border:      '#B4B4B4',
+    footerBar:   '#F5F5F5',
+    footerText:  '#333333',
+    indexHeader: '#E0E0E0',
+  },
+  email: {
+    senderName: 'Wootz.Checkin',
+    headerBg:   '#1a1a2e',
+    headerText: '#ffffff',
+    subText:    '#aaaaaa',
+  },
+};
+
+// ── Profiles file (re-read when it changes on disk) ───────────
+let cached = { mtimeMs: -1, config: null };
+
+function loadConfig() {
+  let mtimeMs = 0;
+  try { mtimeMs = fs.statSync(BRANDING_FILE).mtimeMs; } catch (e) { /* no file — built-in look only */ }
+  if (mtimeMs !== cached.mtimeMs) {
+    cached = { mtimeMs, config: mtimeMs ? readJSON(BRANDING_FILE, {}) : {} };
+  }
+  return cached.config;
+}
+
+/** Profile over base, one level deep for colors / email. */
+function mergeProfile(base, over = {}) {
+  return {
+    ...base,
+    ...over,
+    colors: { ...base.colors, ...(over.colors || {}) },
+    email:  { ...base.email,  ...(over.email  || {}) },
+  };
+}
+
+// ── Main exports ─────────────────────────────────────────────
+
+/**
+ * Pick the branding profile for a report.
+ * @param {object} [opts]
+ * @param {string} [opts.profile]  — explicit profile id (Sample.branding)
+ * @param {string} [opts.customer] — customer_name
+ * @returns {object} complete profile, with `id` ('default' when none matched)
+ */
+function resolveBranding({ profile, customer } = {}) {
+  const config   = loadConfig();
+  const profiles = config.profiles || {};
+  const base     = mergeProfile(BUILT_IN, config.default);
+
+  let id = null;
+  if (profile) {
+    if (profiles[profile]) id = profile;
+    else console.warn(`  ⚠ Unknown branding profile "${profile}" — using the customer match / default`);
+  }
+  if (!id && customer) {
+    const name = String(customer).trim().toLowerCase();
+    id = Object.keys(profiles).find(k =>
+      (profiles[k].customers || []).some(c => String(c).trim().toLowerCase() === name)) || null;
+  }
+
+  const { customers, ...overrides } = id ? profiles[id] : {};
+  return { id: id || 'default', ...mergeProfile(base, overrides) };
+}
+
+const logoCache    = new Map();   // logo source → Promise<{ buffer, contentType }>
+const logoFailures = new Map();   // logo source → time of the last failed load
+
+/**
+ * Logo bytes of a profile — a local file or a URL (disk-cached, fileCache.js).
+ * A report asks several times (page 1, index, footers…); calls share one
+ * load, and after a failure the logo is skipped for LOGO_RETRY_MINUTES.
+ * @param {object} brand — from resolveBranding
+ * @returns {Promise<{ buffer: Buffer, contentType: string } | null>} null when unavailable
+ */
+async function loadLogo(brand) {
+  const source = brand && brand.logo;
+  if (!source) return null;
+  if (Date.now() - (logoFailures.get(source) || 0) < LOGO_RETRY_MS) return null;
+  if (!logoCache.has(source)) logoCache.set(source, readLogo(source, brand.id));
+
+  const pending = logoCache.get(source);
+  try {
+    return await pending;
+  } catch (e) {
+    // Only the first caller of a failed load logs it and starts the retry window
+    if (logoCache.get(source) === pending) {
+      logoCache.delete(source);
+      logoFailures.set(source, Date.now());
+      console.warn(`  Logo fetch failed — skipping the logo for ${LOGO_RETRY_MS / 60000} min: ${e.message}`);
+    }
+    return null;
+  }
+}
+
+/** Logo bytes from a URL or a file next to branding.json — throws when unavailable. */
+async function readLogo(source, id) {
+  let logo;
+  if (/^https?:\/\//i.test(source)) {
+    const res = await cachedFetch(source, { timeout: 10000 });
+    logo = { buffer: res.buffer, contentType: res.contentType || 'image/png' };
+  } else {
+    const file = path.resolve(path.dirname(BRANDING_FILE), source);
+    logo = { buffer: fs.readFileSync(file), contentType: /\.jpe?g$/i.test(file) ? 'image/jpeg' : 'image/png' };
+  }
+  console.log(`  Logo loaded (${id}): ${(logo.buffer.length / 1024).toFixed(0)} KB`);
+  return logo;
+}
+
+module.exports = { resolveBranding, loadLogo };
@@ -0,0 +1,56 @@
+/**
+ * capability.js
+ * Process capability statistics for one dimensional row.
+ *
+ *   Mean, Min, Max, Range  — need at least 1 numeric sample
+ *   Std Dev (sample, n-1)  — needs at least 2
+ *   Cp  = (USL - LSL) / 6σ            — needs both limits
+ *   Cpk = min(USL - μ, μ - LSL) / 3σ  — one-sided when only one limit exists
+ *
+ * Anything that cannot be computed is null; σ = 0 gives null Cp/Cpk
+ * rather than Infinity.
+ */
+
+const MIN_SAMPLES_FOR_SIGMA = 2;
+
+/** Numeric value of a sample cell, or null for text / blanks. */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const n = parseFloat(String(value).trim());
+  return isFinite(n) ? n : null;
+}
+
+/**
+ * @param {Array}  samples — raw sample values (strings or numbers)
+ * @param {number|null} lower — lower spec limit (LSL)
+ * @param {number|null} upper — upper spec limit (USL)
+ * @returns {{ n, mean, min, max, range, stdDev, cp, cpk }} numbers or null
+ */
+function computeCapability(samples, lower, upper) {
+  const values = (samples || []).map(toNumber).filter(v => v !== null);
+  const n = values.length;
+  const empty = { n, mean: null, min: null, max: null, range: null, stdDev: null, cp: null, cpk: null };
+  if (n === 0) return empty;
+
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const min  = Math.min(...values);
+  const max  = Math.max(...values);
+
+  let stdDev = null, cp = null, cpk = null;
+  if (n >= MIN_SAMPLES_FOR_SIGMA) {
+    stdDev = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1));
+    const hasL = typeof lower === 'number' && isFinite(lower);
+    const hasU = typeof upper === 'number' && isFinite(upper);
+    if (stdDev > 0) {
+      if (hasL && hasU) cp = (upper - lower) / (6 * stdDev);
+      const sides = [];
+      if (hasU) sides.push((upper - mean) / (3 * stdDev));
+      if (hasL) sides.push((mean - lower) / (3 * stdDev));
+      if (sides.length) cpk = Math.min(...sides);
+    }
+  }
+
+  return { n, mean, min, max, range: max - min, stdDev, cp, cpk };
+}
+
+module.exports = { computeCapability };
@@ -0,0 +1,218 @@
+/**
+ * changeSummary.js
+ * What changed between two revisions of a sample. diffRevisions() compares the
+ * parsed payloads stored with each report (reportStore.js); buildChangeSummary()
+ * renders the result as a short "Change Summary" PDF, returned by
+ * GET /samples/:sampleId/diff?format=pdf and optionally placed after the index
+ * by buildMergedPDF (meta.changeSummary).
+ *
+ * Compared:
+ *   header fields — part info, quantities, verifier, remarks, conclusion
+ *   rows          — dimensional / visual rows, matched by type + parameter (the
+ *                   n-th row with a parameter pairs with the n-th in the other
+ *                   revision): added, removed, and changed specification,
+ *                   instrument, sample values, status and comment
+ *   certificates  — added / removed, matched by label the same way (the n-th
+ *                   certificate with a label pairs with the n-th); a pair
+ *                   with different files is listed as replaced
+ */
+
+const { jsPDF } = require('jspdf');
+require('jspdf-autotable');
+const { resolveBranding } = require('./branding');
+const { useUnicode, drawText, splitText, unicodeOutput } = require('./unicodeFonts');
+const { hexToRgb } = require('./generateQIR');
+
+// ── Constants ────────────────────────────────────────────────
+const PW = 297, ML = 10, MR = 10, MT = 12;
+const CW = PW - ML - MR;
+const CHANGE_FILLS = { Added: '#C8F5C8', Removed: '#FADBD8', Changed: '#FDEBD0', Replaced: '#FDEBD0' };
+
+const HEADER_FIELDS = [
+  ['part_name',       'Part Name'],
+  ['part_number',     'Part No.'],
+  ['customer',        'Customer'],
+  ['title',           'Title'],
+  ['item_code',       'Item Code'],
+  ['rm_grade',        'RM Grade'],
+  ['heat_no',         'Heat No.'],
+  ['order_qty',       'Qty'],
+  ['samples_checked', 'Samples Checked'],
+  ['submission_date', 'Date'],
+  ['verified_by',     'Verified By'],
+  ['remarks',         'Note'],
+  ['conclusion',      'Conclusion', (d) => d.verdict ? d.verdict.verdict : d.conclusion],
+];
+
+const ROW_TYPES = [
+  { key: 'dimRows', type: 'Dimensional', status: 'status_1', fields: [
+    ['specificat', 'Specification'], ['instrument', 'Instrument'], ['comment', 'Comment'],
+  ] },
+  { key: 'visRows', type: 'Visual', status: 'status', fields: [
+    ['comments', 'Comment'],
+  ] },
+];
+
+const text = (v) => (v === null || v === undefined) ? '' : String(v).trim();
+
+/** Items keyed by name + occurrence, so repeated names (row parameters, cert labels) still pair up. */
+function keyedBy(items = [], name) {
+  const seen = {};
+  return new Map(items.map(item => {
+    const n = text(item[name]).toLowerCase();
+    seen[n] = (seen[n] || 0) + 1;
+    return [`${n}#${seen[n]}`, item];
+  }));
+}
+
+/** Field-level changes of one row present in both revisions. */
+function rowChanges(spec, a, b) {
+  const changes = [];
+  const add = (field, from, to) => { if (text(from) !== text(to)) changes.push({ field, from: text(from), to: text(to) }); };
+
+  for (const [key, label] of spec.fields) add(label, a[key], b[key]);
+  if (spec.key === 'dimRows') {
+    const n = Math.max((a.samples || []).length, (b.samples || []).length);
+    for (let i = 0; i < n; i++) add(`Sample ${i + 1}`, (a.samples || [])[i], (b.samples || [])[i]);
+  }
+  add('Status', a[spec.status], b[spec.status]);
+  return changes;
+}
+
+// ── Main exports ─────────────────────────────────────────────
+
+/**
+ * Compare the parsed data of two revisions.
+ * @param {object} from — parsed data of the older revision (report record .data)
+ * @param {object} to   — parsed data of the newer one
+ * @returns {{
+ *   header:       Array<{ field, from, to }>,
+ *   rows:         { added: Array<{ type, index, parameter }>, removed: [...],
+ *                   changed: Array<{ type, index, parameter, changes: Array<{ field, from, to }> }> },
+ *   certificates: { added: Array<{ label, url }>, removed: [...], replaced: Array<{ label, from, to }> },
+ *   changeCount:  number
+ * }} row index — the row's number in the revision it appears in (the newer one when in both)
+ */
+function diffRevisions(from, to) {
+  const header = HEADER_FIELDS
+    .map(([key, field, get]) => ({ field, from: text(get ? get(from) : from[key]), to: text(get ? get(to) : to[key]) }))
+    .filter(h => h.from !== h.to);
+
+  const rows = { added: [], removed: [], changed: [] };
+  for (const spec of ROW_TYPES) {
+    const before = keyedBy(from[spec.key], 'parameter');
+    const after  = keyedBy(to[spec.key], 'parameter');
+    const brief  = (r) => ({ type: spec.type, index: r.index, parameter: text(r.parameter) });
+
+    for (const [key, r] of before) if (!after.has(key)) rows.removed.push(brief(r));
+    for (const [key, r] of after) {
+      if (!before.has(key)) { rows.added.push(brief(r)); continue; }
+      const changes = rowChanges(spec, before.get(key), r);
+      if (changes.length) rows.changed.push({ ...brief(r), changes });
+    }
+  }
+
+  const certsBefore = keyedBy(from.certificates, 'label');
+  const certsAfter  = keyedBy(to.certificates, 'label');
+  const certificates = {
+    added:    [...certsAfter].filter(([key]) => !certsBefore.has(key)).map(([, c]) => ({ label: text(c.label), url: c.url })),
+    removed:  [...certsBefore].filter(([key]) => !certsAfter.has(key)).map(([, c]) => ({ label: text(c.label), url: c.url })),
+    replaced: [...certsAfter].filter(([key, c]) => certsBefore.has(key) && certsBefore.get(key).url !== c.url)
+      .map(([key, c]) => ({ label: text(c.label), from: certsBefore.get(key).url, to: c.url })),
+  };
+
+  const changeCount = header.length + rows.added.length + rows.removed.length
+    + rows.changed.reduce((n, r) => n + r.changes.length, 0)
+    + certificates.added.length + certificates.removed.length + certificates.replaced.length;
+
+  return { header, rows, certificates, changeCount };
+}
+
+/**
+ * Render a diff as a "Change Summary" PDF (A4 landscape, like the QIR).
+ * Page numbers and the footer bar are added by buildMergedPDF when it is merged.
+ * @param {object} diff — from diffRevisions
+ * @param {object} opts
+ * @param {string} opts.reportNo
+ * @param {object} opts.from       — { revision, date } of the older revision
+ * @param {object} opts.to         — { revision, date, reason } of the newer one
+ * @param {object} [opts.branding] — profile from branding.js
+ * @returns {Promise<Buffer>}
+ */
+async function buildChangeSummary(diff, { reportNo, from, to, branding } = {}) {
+  const brand  = branding || resolveBranding();
+  const DARK   = hexToRgb(brand.colors.dark);
+  const GRAY   = hexToRgb(brand.colors.gray);
+  const BORDER = hexToRgb(brand.colors.border);
+
+  const doc = useUnicode(new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4', compress: true }));
+  let y = MT + 6;
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.setTextColor(...DARK);
+  doc.text('Change Summary', ML, y);
+
+  doc.setFontSize(8.5);
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(60, 60, 60);
+  drawText(doc, `Doc No: ${reportNo}   Rev ${from.revision} (${from.date}) → Rev ${to.revision} (${to.date})`, PW - MR, y, { align: 'right' });
+  y += 6;
+  if (to.reason) {
+    drawText(doc, splitText(doc, `Reason for change: ${to.reason}`, CW), ML, y);
+    y += 5;
+  }
+
+  const table = (title, head, body, fillOf) => {
+    doc.autoTable({
+      startY: y,
+      margin: { left: ML, right: MR },
+      tableWidth: CW,
+      head: [[{ content: title, colSpan: head.length }], head],
+      body,
+      styles: { fontSize: 7.5, cellPadding: 1.8, lineColor: BORDER, lineWidth: 0.3, textColor: [60, 60, 60] },
+      headStyles: { fillColor: GRAY, textColor: DARK, fontStyle: 'bold', fontSize: 8 },
+      didParseCell: (d) => {
+        const fill = d.section === 'body' && fillOf ? fillOf(d.row.index) : null;
+        if (fill) d.cell.styles.fillColor = hexToRgb(fill);
+      },
+    });
+    y = doc.lastAutoTable.finalY + 4;
+  };
+  const shown = (v) => v === '' ? '—' : v;
+
+  if (diff.changeCount === 0) {
+    doc.setFontSize(9);
+    doc.text('No differences in header fields, inspection rows or certificates.', ML, y + 4);
+    return unicodeOutput(doc);
+  }
+
+  if (diff.header.length) {
+    table('Header Fields', ['Field', `Rev ${from.revision}`, `Rev ${to.revision}`],
+      diff.header.map(h => [h.field, shown(h.from), shown(h.to)]));
+  }
+
+  const rowLines = [
+    ...diff.rows.removed.map(r => [`${r.type} #${r.index} ${r.parameter}`, 'Removed', '', '', '']),
+    ...diff.rows.added.map(r => [`${r.type} #${r.index} ${r.parameter}`, 'Added', '', '', '']),
+    ...diff.rows.changed.flatMap(r => r.changes.map((c, i) =>
+      [i === 0 ? `${r.type} #${r.index} ${r.parameter}` : '', 'Changed', c.field, shown(c.from), shown(c.to)])),
+  ];
+  if (rowLines.length) {
+    table('Inspection Rows', ['Row', 'Change', 'Field', `Rev ${from.revision}`, `Rev ${to.revision}`],
+      rowLines, (i) => CHANGE_FILLS[rowLines[i][1]]);
+  }
+
+  const certLines = [
+    ...diff.certificates.removed.map(c => [c.label, 'Removed']),
+    ...diff.certificates.added.map(c => [c.label, 'Added']),
+    ...diff.certificates.replaced.map(c => [c.label, 'Replaced']),
+  ];
+  if (certLines.length) {
+    table('Certificates', ['Certificate', 'Change'], certLines, (i) => CHANGE_FILLS[certLines[i][1]]);
+  }
+
+  return unicodeOutput(doc);
+}
+
+module.exports = { diffRevisions, buildChangeSummary };
@@ -0,0 +1,49 @@
+/**
+ * dataStore.js
+ * Tiny file-backed JSON store for server state that must survive a restart.
+ * Every write goes to a temp file first and is renamed into place, so a
+ * crash mid-write never leaves a half-written JSON file behind.
+ *
+ * Env vars:
+ *   DATA_DIR  — directory for state files (default: ./data next to server.js)
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+
+/** Absolute path inside DATA_DIR. */
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+/** mkdir -p, returns the directory. */
+function ensureDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Read and parse a JSON file.
+ * @param {string} file
+ * @param {*}      fallback — returned when the file is missing or unreadable
+ */
+function readJSON(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`  dataStore: could not read ${file}: ${e.message}`);
+    return fallback;
+  }
+}
+
+/** Atomically write a value as pretty JSON. */
+function writeJSON(file, value) {
+  ensureDir(path.dirname(file));
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { DATA_DIR, dataPath, ensureDir, readJSON, writeJSON };
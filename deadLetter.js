@@ -0,0 +1,115 @@
+/**
+ * deadLetter.js
+ * Persisted list of outbound operations that still failed after retries.
+ *
+ * Each entry names a registered operation and carries JSON-only arguments
+ * (report ID, S3 URL, ...) — never buffers — so it can be replayed after a
+ * restart. Operations are registered by outbound.js at load time.
+ *
+ * Stored in DATA_DIR/dead-letters.json as an array of:
+ *   { id, op, args, error, attempts, status: 'pending' | 'replayed',
+ *     createdAt, lastAttemptAt, replays }
+ */
+
+const crypto = require('crypto');
+const { dataPath, readJSON, writeJSON } = require('./dataStore');
+const { withRetry } = require('./retry');
+
+const STORE_FILE = dataPath('dead-letters.json');
+const operations = {};   // op name → async (args) => result
+
+/**
+ * Register a replayable operation.
+ * @param {string}   name
+ * @param {Function} fn — async (args) => result
+ */
+function registerOperation(name, fn) {
+  operations[name] = fn;
+}
+
+function loadEntries() {
+  return readJSON(STORE_FILE, []);
+}
+
+/**
+ * Record a failed operation.
+ * @param {string} op   — registered operation name
+ * @param {object} args — JSON-serialisable arguments
+ * @param {Error}  err  — final error (err.attempts set by withRetry)
+ * @returns {object} the new entry
+ */
+function addDeadLetter(op, args, err) {
+  const now   = new Date().toISOString();
+  const entry = {
+    id:            crypto.randomUUID(),
+    op,
+    args,
+    error:         err.message,
+    attempts:      err.attempts || 1,
+    status:        'pending',
+    createdAt:     now,
+    lastAttemptAt: now,
+    replays:       0,
+  };
+  writeJSON(STORE_FILE, [...loadEntries(), entry]);
+  console.error(`  ✗ ${op} dead-lettered (${entry.id}): ${err.message}`);
+  return entry;
+}
+
+/**
+ * List entries, oldest first.
+ * @param {string} [status] — 'pending' | 'replayed'
+ */
+function listDeadLetters(status) {
+  const entries = loadEntries();
+  return status ? entries.filter(e => e.status === status) : entries;
+}
+
+/**
+ * Replay one entry through the shared retry policy.
+ * On success the entry is marked 'replayed'; on failure its error is updated.
+ * @param {string} id
+ * @returns {Promise<{ entry: object, result?: *, error?: string } | null>} null if not found
+ */
+async function replayDeadLetter(id) {
+  const entry = loadEntries().find(e => e.id === id);
+  if (!entry) return null;
+
+  const fn = operations[entry.op];
+  let outcome;
+  try {
+    if (!fn) throw new Error(`Unknown operation "${entry.op}"`);
+    const result = await withRetry(`replay ${entry.op}`, () => fn(entry.args));
+    outcome = { status: 'replayed', error: null, result };
+    console.log(`  ✓ Dead letter ${id} (${entry.op}) replayed`);
+  } catch (err) {
+    outcome = { status: 'pending', error: err.message };
+    console.error(`  ✗ Dead letter ${id} (${entry.op}) replay failed: ${err.message}`);
+  }
+
+  // Re-read — the operation itself may have dead-lettered something meanwhile
+  const entries = loadEntries();
+  const stored  = entries.find(e => e.id === id);
+  Object.assign(stored, {
+    status:        outcome.status,
+    error:         outcome.error,
+    lastAttemptAt: new Date().toISOString(),
+    replays:       stored.replays + 1,
+  });
+  writeJSON(STORE_FILE, entries);
+
+  return outcome.status === 'replayed'
+    ? { entry: stored, result: outcome.result }
+    : { entry: stored, error: outcome.error };
+}
+
+/** Drop an entry. Returns true if it existed. */
+function deleteDeadLetter(id) {
+  const entries = loadEntries();
+  const kept    = entries.filter(e => e.id !== id);
+  if (kept.length === entries.length) return false;
+  writeJSON(STORE_FILE, kept);
+  return true;
+}
+
+module.exports = { registerOperation, addDeadLetter, listDeadLetters, replayDeadLetter, deleteDeadLetter };
@@ -0,0 +1,154 @@
+/**
+ * fileCache.js
+ * On-disk cache for downloaded files (logo, QC photos, drawings, certificates),
+ * keyed by URL. Regenerating a report reuses what was fetched last time, and a
+ * report still builds when the file host is briefly down.
+ *
+ *   fresh   (younger than CACHE_TTL_MINUTES) → served from disk, no request
+ *   expired → revalidated with If-None-Match / If-Modified-Since;
+ *             304 keeps the cached copy, 200 replaces it
+ *   fetch fails with a transient error (network, 408/429/5xx — see retry.js)
+ *           → the cached copy is served stale, with a warning
+ *
+ * The cache is bounded by CACHE_MAX_MB; least recently used files are evicted.
+ * Layout: DATA_DIR/cache/index.json (metadata) + <sha256 of URL>.bin
+ *
+ * Env vars:
+ *   CACHE_TTL_MINUTES — how long a file is used without revalidating (default: 1440)
+ *   CACHE_MAX_MB      — size bound, 0 disables the cache (default: 500)
+ */
+
+const fs     = require('fs');
+const crypto = require('crypto');
+const fetch  = require('node-fetch');
+const { dataPath, ensureDir, readJSON, writeJSON } = require('./dataStore');
+const { isRetryable } = require('./retry');
+
+const TTL_MS    = parseFloat(process.env.CACHE_TTL_MINUTES || '1440') * 60 * 1000;
+const MAX_BYTES = parseFloat(process.env.CACHE_MAX_MB || '500') * 1024 * 1024;
+
+const CACHE_DIR  = dataPath('cache');
+const INDEX_FILE = dataPath('cache', 'index.json');
+
+let index = null;   // key → { url, size, contentType, etag, lastModified, fetchedAt, lastAccess }
+
+function loadIndex() {
+  if (!index) index = readJSON(INDEX_FILE, {});
+  return index;
+}
+
+function saveIndex() {
+  writeJSON(INDEX_FILE, index);
+}
+
+const keyOf    = (url) => crypto.createHash('sha256').update(url).digest('hex');
+const fileOf   = (key) => dataPath('cache', `${key}.bin`);
+
+/** Cached bytes for an entry, or null if the file has gone missing. */
+function readEntry(key) {
+  try {
+    return fs.readFileSync(fileOf(key));
+  } catch (e) {
+    delete loadIndex()[key];
+    return null;
+  }
+}
+
+function storeEntry(key, url, buffer, res) {
+  ensureDir(CACHE_DIR);
+  const tmp = `${fileOf(key)}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, buffer);
+  fs.renameSync(tmp, fileOf(key));
+  const now = Date.now();
+  loadIndex()[key] = {
+    url,
+    size:         buffer.length,
+    contentType:  res.headers.get('content-type') || null,
+    etag:         res.headers.get('etag') || null,
+    lastModified: res.headers.get('last-modified') || null,
+    fetchedAt:    now,
+    lastAccess:   now,
+  };
+  evict();
+  saveIndex();
+}
+
+/** Drop least recently used files until the cache fits in CACHE_MAX_MB. */
+function evict() {
+  const entries = Object.entries(loadIndex()).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+  let total = entries.reduce((sum, [, e]) => sum + e.size, 0);
+  for (const [key, entry] of entries) {
+    if (total <= MAX_BYTES) break;
+    try { fs.unlinkSync(fileOf(key)); } catch (e) { /* already gone */ }
+    delete index[key];
+    total -= entry.size;
+  }
+}
+
+// ── Main export ──────────────────────────────────────────────
+
+/**
+ * GET a URL through the cache.
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {object} [opts.headers] — extra request headers
+ * @param {number} [opts.timeout] — ms (default: 30000)
+ * @returns {Promise<{ buffer: Buffer, contentType: string|null, source: 'network'|'cache'|'revalidated'|'stale' }>}
+ *          throws on failure when nothing usable is cached (err.status set for HTTP errors)
+ */
+async function cachedFetch(url, { headers = {}, timeout = 30000 } = {}) {
+  const enabled = MAX_BYTES > 0;
+  const key     = keyOf(url);
+  const entry   = enabled ? loadIndex()[key] : null;
+
+  const fromCache = (source) => {
+    const buffer = readEntry(key);
+    if (!buffer) return null;
+    entry.lastAccess = Date.now();
+    if (source === 'revalidated') entry.fetchedAt = entry.lastAccess;
+    saveIndex();
+    return { buffer, contentType: entry.contentType, source };
+  };
+
+  if (entry && Date.now() - entry.fetchedAt < TTL_MS) {
+    const hit = fromCache('cache');
+    if (hit) return hit;
+  }
+
+  const conditional = {};
+  if (entry && entry.etag)         conditional['If-None-Match']     = entry.etag;
+  if (entry && entry.lastModified) conditional['If-Modified-Since'] = entry.lastModified;
+
+  let res;
+  try {
+    res = await fetch(url, { headers: { ...headers, ...conditional }, timeout });
+    if (res.status === 304 && entry) {
+      const hit = fromCache('revalidated');
+      if (hit) return hit;
+      res = await fetch(url, { headers, timeout });   // cached file vanished — fetch in full
+    }
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status} for ${String(url).substring(0, 80)}`);
+      err.status = res.status;
+      throw err;
+    }
+  } catch (err) {
+    if (entry && isRetryable(err)) {
+      const hit = fromCache('stale');
+      if (hit) {
+        console.warn(`  ⚠ Serving cached copy of ${String(url).substring(0, 60)} — fetch failed: ${err.message}`);
+        return hit;
+      }
+    }
+    throw err;
+  }
+
+  const buffer = Buffer.from(await res.arrayBuffer());
+  if (enabled) {
+    try { storeEntry(key, url, buffer, res); }
+    catch (e) { console.warn(`  fileCache: could not store ${String(url).substring(0, 60)}: ${e.message}`); }
+  }
+  return { buffer, contentType: res.headers.get('content-type'), source: 'network' };
+}
+
+module.exports = { cachedFetch };
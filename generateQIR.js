@@ -2,8 +2,9 @@
  * generateQIR.js
  * Generates the QIR PDF using jsPDF + jspdf-autotable.
  * Updated for AppSheet data structure.
- * Images are fetched from AppSheet URLs before drawing.
- * Returns a Buffer.
+ * Images are fetched from AppSheet URLs before drawing (through fileCache.js).
+ * Returns { buffer, sections } — sections: [{ key, title, page }] with the
+ * QIR page each section starts on, for the index built by mergePDFs.js.
  *
  * CHANGE: Part Drawing page removed from here.
  *         mergePDFs.js now fetches the drawing PDF and inserts
@@ -12,38 +13,90 @@
  * CHANGE: Part info table — empty fields are skipped entirely (no blank rows).
  * CHANGE: Dim table  — Instrument col hidden if all blank; Photo col hidden if no photos.
  * CHANGE: Vis table  — Photo col hidden if no photos exist.
+ * CHANGE: Page 1     — "Data Warnings" box lists lenient-mode schema warnings.
+ * CHANGE: Dim table  — optional Mean/Min/Max/Range/Std Dev/Cp/Cpk columns
+ *                      (data.capability_stats); low Cpk coloured like status.
+ * CHANGE: Dim table  — range highlighting uses limits parsed by tolerance.js
+ *                      ("25 ±0.1", "≤ 0.8 Ra", "min 45 HRC", ...).
+ * CHANGE: Dim table  — status computed from samples/limits; rows where it
+ *                      disagrees with the entered status are flagged.
+ * CHANGE: Page 1     — coloured Accepted / Rejected / Accepted with Deviation
+ *                      conclusion box (data.verdict).
+ * CHANGE: Dim table  — any number of samples; columns that don't fit are
+ *                      continued on further pages (planSampleChunks).
+ * CHANGE: Photos     — several photos per row; thumbnails carry refs P1..Pn
+ *                      and every photo is repeated full size in a Photo Appendix.
+ * CHANGE: Photos     — rotated per EXIF, downsized to IMAGE_DPI for the largest
+ *                      box they're drawn in and recompressed (imageProcessing.js).
+ * CHANGE: Branding   — logo, title and colours from the report's branding
+ *                      profile (branding.js / branding.json).
+ * CHANGE: Text       — characters outside WinAnsi fall back to bundled
+ *                      Unicode fonts (unicodeFonts.js).
+ * CHANGE: Page 1     — revision in the header and a Revision History table
+ *                      (data.revision, revisions.js).
+ * CHANGE: Page 1     — QR code in the header linking to the report's
+ *                      verification page (data.verify_url, verification.js).
  */
 
 const { jsPDF }  = require('jspdf');
 require('jspdf-autotable');
-const fetch      = require('node-fetch');
+const { cachedFetch } = require('./fileCache');
+const { computeCapability } = require('./capability');
+const { rowTolerance, isOutOfRange } = require('./tolerance');
+const { applyDerivedStatuses }       = require('./inspectionStatus');
+const { normalizeImage }             = require('./imageProcessing');
+const { resolveBranding, loadLogo }  = require('./branding');
+const { useUnicode, drawText, splitText, textWidth, unicodeOutput } = require('./unicodeFonts');
+const QRCode                         = require('qrcode');
 
 // ── Constants ────────────────────────────────────────────────
 const PW = 297, PH = 210, ML = 10, MR = 10, MT = 12, MB = 12;
 const CW    = PW - ML - MR;
+// Default palette — generateQIR() uses the report's branding profile instead
 const GRAY  = [240, 240, 240];
 const BORDER= [180, 180, 180];
 const DARK  = [26,  26,  46 ];
+const MIN_SAMPLE_W = 8;    // narrowest sample column (mm) before samples spill onto another page
+const MAX_SAMPLE_W = 20;   // widest sample column on split pages
+const APPENDIX_GAP = 6;    // mm between the two photos of an appendix page
+const APPENDIX_CAP_H = 14; // ref + parameter line, caption up to 2 lines
+const QR_QUIET_ZONE = 4;   // blank modules around the verification QR code
+const QR_SIZE       = 15.4; // mm, quiet zone included — the header box height
+// Largest box a QC photo is drawn in (an appendix slot) — photos are downsized to this
+const PHOTO_BOX = { widthMm: (CW - APPENDIX_GAP) / 2, heightMm: PH - MT - MB - 7 - APPENDIX_CAP_H };
+// Inspection image under the visual table — up to half the width, full height
+const INSP_IMAGE_BOX = { widthMm: CW * 0.5, heightMm: PH - MT - MB };
 
 // ── Helpers ──────────────────────────────────────────────────
 
-function sectionHeading(doc, label, y) {
+function sectionHeading(doc, label, y, color = DARK) {
   doc.setFontSize(12);
   doc.setFont('helvetica', 'bold');
-  doc.setTextColor(...DARK);
+  doc.setTextColor(...color);
   doc.text(label, PW / 2, y, { align: 'center' });
   return y + 7;
 }
 
-/** Fetch an image URL → base64 data URL. Returns null on failure. */
-async function fetchImageAsDataUrl(url) {
+/**
+ * Fetch an image URL → base64 data URL. Returns null on failure.
+ * With a box ({ widthMm, heightMm }) the image is rotated upright, downsized
+ * and recompressed for that box first (imageProcessing.js); byte counts are
+ * added to `stats` so the saving can be logged per report, or why resizing
+ * was skipped (`stats.skipped`).
+ */
+async function fetchImageAsDataUrl(url, box = null, stats = null) {
   if (!url || !url.trim()) return null;
   try {
-    const res = await fetch(url, { timeout: 15000 });
-    if (!res.ok) return null;
-    const contentType = res.headers.get('content-type') || 'image/jpeg';
-    const buffer = await res.arrayBuffer();
-    const b64 = Buffer.from(buffer).toString('base64');
+    const res = await cachedFetch(url, { timeout: 15000 });
+    let contentType = res.contentType || 'image/jpeg';
+    let buffer = res.buffer;
+    if (box) {
+      const before = buffer.length;
+      let skipped;
+      ({ buffer, contentType, skipped } = await normalizeImage(buffer, contentType, box));
+      if (stats) { stats.count++; stats.before += before; stats.after += buffer.length; stats.skipped ||= skipped; }
+    }
+    const b64 = buffer.toString('base64');
     return `data:${contentType};base64,${b64}`;
   } catch (e) {
     console.warn(`  fetchImage failed for ${String(url).substring(0, 60)}: ${e.message}`);
@@ -67,6 +120,61 @@ function drawImgInCell(doc, src, cx, cy, cw, ch, pad = 1.5) {
   } catch (e) { /* skip silently */ }
 }
 
+const THUMB_LABEL_H = 3;   // mm under each thumbnail for its "P3" ref
+
+/** Photo cell height for a row's thumbnails — two per line. */
+function photoCellHeight(photos, rowH) {
+  return rowH * Math.max(1, Math.ceil(photos.length / 2));
+}
+
+/**
+ * Draw a row's thumbnails inside its Photo cell, two per line, each with its
+ * reference number (P1, P2, ...) underneath.
+ * @param {Array<{ img, ref }>} photos
+ */
+function drawPhotoThumbs(doc, photos, cx, cy, cw, ch, color = DARK) {
+  if (!photos || photos.length === 0) return;
+  const perLine = Math.min(photos.length, 2);
+  const lines   = Math.ceil(photos.length / 2);
+  const tw = cw / perLine, th = ch / lines;
+  photos.forEach((p, i) => {
+    const tx = cx + (i % 2) * tw, ty = cy + Math.floor(i / 2) * th;
+    drawImgInCell(doc, p.img, tx, ty, tw, th - THUMB_LABEL_H, 1);
+    doc.setFontSize(6);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...color);
+    doc.text(p.ref, tx + tw / 2, ty + th - 1, { align: 'center' });
+  });
+}
+
+// ── QR code ──────────────────────────────────────────────────
+
+/**
+ * Draw a QR code of `text` as vector squares (no image) in a `size` mm square
+ * with its top left at (x, y). The square includes the QR_QUIET_ZONE, kept
+ * white so phones can find the code. Dark modules of a row are merged into
+ * one rectangle.
+ */
+function drawQRCode(doc, text, x, y, size) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const n    = modules.size;
+  const cell = size / (n + 2 * QR_QUIET_ZONE);
+  doc.setFillColor(255, 255, 255);
+  doc.rect(x, y, size, size, 'F');
+  x += QR_QUIET_ZONE * cell;
+  y += QR_QUIET_ZONE * cell;
+  doc.setFillColor(0, 0, 0);
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (!modules.get(r, c)) continue;
+      let run = 1;
+      while (c + run < n && modules.get(r, c + run)) run++;
+      doc.rect(x + c * cell, y + r * cell, run * cell, cell, 'F');
+      c += run - 1;
+    }
+  }
+}
+
 // ── Color helpers ────────────────────────────────────────────
 
 /** Returns [r,g,b] 0-255 from a '#RRGGBB' hex string. */
@@ -87,57 +195,122 @@ function statusColor(status) {
   return null;
 }
 
+/** Number of decimals written in a sample string ("25.05" → 2). */
+function decimalsOf(value) {
+  const m = String(value ?? '').trim().match(/^[-+]?\d*\.(\d+)/);
+  return m ? m[1].length : 0;
+}
+
+/** Fixed-decimal string, or an em dash for null. */
+function fmtNum(n, decimals) {
+  return n === null || n === undefined ? '—' : n.toFixed(decimals);
+}
+
 /**
- * Out-of-range check for a sample value against min/max strings.
- * Returns true (highlight red) only when:
- *   - both min and max are present and numeric
- *   - the sample value is numeric
- *   - the value is strictly outside [min, max]
- * Any text value or missing range → returns false (no highlight).
+ * Cpk cell fill color — same palette as statusColor.
+ * Below 1.0 → Fail (red); below the configured threshold → Doubt (orange).
  */
-function isOutOfRange(value, min, max) {
-  if (!min && !max) return false;           // no range defined
-  const v   = parseFloat(String(value).trim());
-  const mn  = parseFloat(String(min).trim());
-  const mx  = parseFloat(String(max).trim());
-  if (isNaN(v) || isNaN(mn) || isNaN(mx)) return false;  // text value or range
-  return v < mn || v > mx;
+function cpkColor(cpk, threshold) {
+  if (cpk === null || cpk === undefined) return null;
+  if (cpk < Math.min(1, threshold)) return statusColor('fail');
+  if (cpk < threshold)              return statusColor('doubt');
+  return null;
+}
+
+/**
+ * Split n sample columns into pages that keep every column at least
+ * MIN_SAMPLE_W wide.
+ * @param {number} n — sample count
+ * @param {object} w — widths (mm) of the other columns
+ * @param {number} w.repeatW — columns repeated on every page
+ * @param {number} w.firstW  — columns only on the first page
+ * @param {number} w.lastW   — columns only on the last page
+ * @returns {Array<{ start, end, first, last }>} sample index ranges, end exclusive
+ */
+function planSampleChunks(n, { repeatW, firstW, lastW }) {
+  const chunks = [];
+  let start = 0;
+  for (;;) {
+    const first     = chunks.length === 0;
+    const avail     = CW - repeatW - (first ? firstW : 0);
+    const remaining = n - start;
+    // Everything left fits alongside the last-page columns → done
+    if (remaining * MIN_SAMPLE_W <= avail - lastW) {
+      chunks.push({ start, end: n, first, last: true });
+      break;
+    }
+    // Otherwise fill this page, leaving at least one sample for the last page
+    const take = Math.min(Math.max(1, Math.floor(avail / MIN_SAMPLE_W)), remaining - 1);
+    if (take <= 0) {
+      chunks.push({ start, end: n, first, last: true });   // can't do better — squeeze
+      break;
+    }
+    chunks.push({ start, end: start + take, first, last: false });
+    start += take;
+  }
+  return chunks;
 }
 
 // ── Main export (async — fetches images) ─────────────────────
 async function generateQIR(data) {
+  // Computed Pass/Fail per dim row (no-op if the caller already derived it)
+  data = applyDerivedStatuses(data);
+
+  // Branding profile (branding.js) — these shadow the module colours for this report
+  const brand  = data.branding || resolveBranding({ customer: data.customer });
+  const DARK   = hexToRgb(brand.colors.dark);
+  const GRAY   = hexToRgb(brand.colors.gray);
+  const BORDER = hexToRgb(brand.colors.border);
+
   // Pre-fetch all images in parallel before drawing
   // NOTE: part_drawing intentionally excluded — handled as PDF page in mergePDFs.js
   console.log('  Pre-fetching images...');
-  const [inspImage, logoImg] = await Promise.all([
-    fetchImageAsDataUrl(data.insp_image),
-    fetchImageAsDataUrl('https://res.cloudinary.com/dbwg6zz3l/image/upload/w_300,f_png,q_90/v1773643264/Black_Yellow_kq9kef.png'),
+  const imgStats = { count: 0, before: 0, after: 0, skipped: null };
+  const [inspImage, logo] = await Promise.all([
+    fetchImageAsDataUrl(data.insp_image, INSP_IMAGE_BOX, imgStats),
+    loadLogo(brand),
   ]);
-
-  // Fetch dim row QC photos
-  const dimPhotoMap = {};
-  await Promise.all(
-    (data.dimRows || []).map(async (r, i) => {
-      if (r.qc_photo) {
-        dimPhotoMap[i] = await fetchImageAsDataUrl(r.qc_photo);
-      }
-    })
-  );
-
-  // Fetch visual row photos
-  const visPhotoMap = {};
-  await Promise.all(
-    (data.visRows || []).map(async (r, i) => {
-      if (r.photo) {
-        visPhotoMap[i] = await fetchImageAsDataUrl(r.photo);
-      }
-    })
-  );
-
+  const logoImg = logo ? `data:${logo.contentType};base64,${logo.buffer.toString('base64')}` : null;
+
+  // Fetch every QC photo of every row — row index → [{ img, caption }]
+  const fetchRowPhotos = async (rows, legacyKey) => {
+    const map = {};
+    await Promise.all((rows || []).map(async (r, i) => {
+      const list = r.photos || (r[legacyKey] ? [{ url: r[legacyKey], caption: '' }] : []);
+      const imgs = await Promise.all(list.map(p => fetchImageAsDataUrl(p.url, PHOTO_BOX, imgStats)));
+      map[i] = list.map((p, k) => ({ img: imgs[k], caption: p.caption || '' })).filter(p => p.img);
+    }));
+    return map;
+  };
+  const dimPhotoMap = await fetchRowPhotos(data.dimRows, 'qc_photo');
+  const visPhotoMap = await fetchRowPhotos(data.visRows, 'photo');
+
+  // Reference numbers P1..Pn — dimensional rows first, then visual, in row order.
+  // The same ref labels the thumbnail and the full-size photo in the appendix.
+  const appendixPhotos = [];
+  const assignRefs = (rows, map, section) => (rows || []).forEach((r, i) => {
+    for (const p of map[i]) {
+      p.ref = `P${appendixPhotos.length + 1}`;
+      appendixPhotos.push({ ...p, section, row: r });
+    }
+  });
+  assignRefs(data.dimRows, dimPhotoMap, 'Dimensional');
+  assignRefs(data.visRows, visPhotoMap, 'Visual');
+
+  if (imgStats.skipped) {
+    console.log(`  Images: ${imgStats.count} photo(s) embedded without resizing — ${imgStats.skipped}`);
+  } else if (imgStats.count > 0) {
+    const kb = (n) => (n / 1024).toFixed(0);
+    const saved = imgStats.before - imgStats.after;
+    console.log(`  Images: ${imgStats.count} photo(s) ${kb(imgStats.before)} KB → ${kb(imgStats.after)} KB`
+      + ` (saved ${kb(saved)} KB, ${imgStats.before ? Math.round(saved / imgStats.before * 100) : 0}%)`);
+  }
   console.log('  Images fetched. Building PDF...');
 
-  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  // compress — content and embedded font streams are Flate-compressed
+  const doc = useUnicode(new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4', compress: true }));
   let y = MT;
+  const sections = [];   // { key, title, page } — QIR page where each section starts
 
   // ── PAGE 1: HEADER ──────────────────────────────────────────
   doc.setDrawColor(...BORDER);
@@ -152,7 +325,7 @@ async function generateQIR(data) {
       const maxW = CW * 0.22, maxH = 14;
       const scale = Math.min(maxW / logoProp.width, maxH / logoProp.height);
       const lw = logoProp.width * scale, lh = logoProp.height * scale;
-      doc.addImage(logoImg, 'JPEG', ML + (CW * 0.28 - lw) / 2, y + (16 - lh) / 2, lw, lh);
+      doc.addImage(logoImg, logo.contentType.includes('png') ? 'PNG' : 'JPEG', ML + (CW * 0.28 - lw) / 2, y + (16 - lh) / 2, lw, lh);
     } catch(e) {
       doc.setFontSize(7); doc.setTextColor(150, 150, 150);
       doc.text('[LOGO]', ML + CW * 0.14, y + 9, { align: 'center' });
@@ -165,14 +338,34 @@ async function generateQIR(data) {
   doc.setFontSize(16);
   doc.setFont('helvetica', 'bold');
   doc.setTextColor(...DARK);
-  doc.text('Quality Inspection Report', ML + CW * 0.505, y + 10, { align: 'center' });
+  drawText(doc, brand.title, ML + CW * 0.505, y + 10, { align: 'center' });
 
-  doc.setFontSize(8);
+  // Doc No / Date / By — kept left of the QR code (quiet zone included) when
+  // there is one: a long line is set smaller, down to 6 pt, then cut
+  const qrX   = ML + CW - QR_SIZE - 0.3;
+  const infoX = ML + CW * 0.76;
+  const infoW = (data.verify_url ? qrX : ML + CW) - infoX - 1.5;
   doc.setFont('helvetica', 'normal');
   doc.setTextColor(60, 60, 60);
-  doc.text(`Doc No: ${data.report_no}`,        ML + CW * 0.76, y + 5);
-  doc.text(`Date:   ${data.submission_date}`,   ML + CW * 0.76, y + 10);
-  doc.text(`By:     ${data.created_by || '—'}`, ML + CW * 0.76, y + 15);
+  const rev = data.revision ? `   Rev ${data.revision.label}` : '';
+  [`Doc No: ${data.report_no}${rev}`, `Date:   ${data.submission_date}`, `By:     ${data.created_by || '—'}`]
+    .forEach((line, i) => {
+      doc.setFontSize(8);
+      const w = textWidth(doc, line);
+      if (w > infoW) doc.setFontSize(Math.max(6, 8 * infoW / w));
+      let fitted = line;
+      while (fitted.length > 1 && textWidth(doc, fitted) > infoW) fitted = [...line].slice(0, [...fitted].length - 2).join('') + '…';
+      drawText(doc, fitted, infoX, y + 5 + i * 5);
+    });
+
+  // Verification QR code — right end of the header box, quiet zone inside the border
+  if (data.verify_url) {
+    try {
+      drawQRCode(doc, data.verify_url, qrX, y + 0.3, QR_SIZE);
+    } catch (e) {
+      console.warn(`  QR code skipped: ${e.message}`);
+    }
+  }
 
   y += 20;
   doc.setDrawColor(...BORDER);
@@ -230,29 +423,89 @@ async function generateQIR(data) {
     const noteLabelW = doc.getTextWidth('Note: ');
     doc.setFont('helvetica', 'normal');
     doc.setTextColor(60, 60, 60);
-    const noteLines = doc.splitTextToSize(data.remarks.trim(), CW - noteLabelW);
-    doc.text(noteLines, ML + noteLabelW, y);
+    const noteLines = splitText(doc, data.remarks.trim(), CW - noteLabelW);
+    drawText(doc, noteLines, ML + noteLabelW, y);
     y += (noteLines.length * 4.5) + 2;
   }
 
-  // Conclusion on page 1 if present
-  if (data.conclusion) {
+  // Overall verdict — coloured box built by inspectionStatus.buildConclusion
+  if (data.verdict) {
+    doc.setFontSize(8);
+    const lines = splitText(doc, data.verdict.text, CW - 8);
+    const boxH  = 9 + lines.length * 3.6;
+    if (y + boxH > PH - MB) { doc.addPage('a4', 'landscape'); y = MT; }
+
+    doc.setFillColor(...statusColor(data.verdict.status));
+    doc.setDrawColor(...BORDER);
+    doc.setLineWidth(0.3);
+    doc.rect(ML, y, CW, boxH, 'FD');
+
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...DARK);
+    doc.text(`Conclusion: ${data.verdict.verdict}`, ML + 4, y + 5.5);
+
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(60, 60, 60);
+    drawText(doc, lines, ML + 4, y + 10);
+    y += boxH + 4;
+
+  // Free-text conclusion on page 1 if present (no verdict could be derived)
+  } else if (data.conclusion) {
     doc.setFontSize(9);
     doc.setFont('helvetica', 'bold');
     doc.setTextColor(...DARK);
     doc.text('Conclusion:', ML, y);
     doc.setFont('helvetica', 'normal');
-    const lines = doc.splitTextToSize(data.conclusion, CW - 26);
-    doc.text(lines, ML + 26, y);
+    const lines = splitText(doc, data.conclusion, CW - 26);
+    drawText(doc, lines, ML + 26, y);
+    y += (lines.length * 4.5) + 2;
+  }
+
+  // Data Warnings — lenient-mode schema problems, so reviewers see what was dropped
+  if (data.warnings && data.warnings.length > 0) {
+    doc.autoTable({
+      startY: y,
+      margin: { left: ML, right: MR },
+      tableWidth: CW,
+      head: [['Data Warnings']],
+      body: data.warnings.map(w => [w]),
+      styles: { fontSize: 7.5, cellPadding: 1.8, lineColor: BORDER, lineWidth: 0.3, textColor: [60, 60, 60] },
+      headStyles: { fillColor: hexToRgb('#FDEBD0'), textColor: DARK, fontStyle: 'bold', fontSize: 8 },
+      });
+    y = doc.lastAutoTable.finalY + 4;
+  }
+
+  // Revision history — every issue of this sample, oldest first; this one in bold
+  if (data.revision && data.revision.history.length > 0) {
+    const history = data.revision.history;
+    doc.autoTable({
+      startY: y,
+      margin: { left: ML, right: MR },
+      tableWidth: CW,
+      head: [
+        [{ content: 'Revision History', colSpan: 4 }],
+        ['Rev', 'Date', 'Reason for Change', 'By'],
+      ],
+      body: history.map(h => [h.revision, h.date, h.reason || '—', h.by || '—']),
+      styles: { fontSize: 7.5, cellPadding: 1.8, lineColor: BORDER, lineWidth: 0.3, textColor: [60, 60, 60] },
+      headStyles: { fillColor: GRAY, textColor: DARK, fontStyle: 'bold', fontSize: 8 },
+      columnStyles: {
+        0: { cellWidth: CW * 0.06, halign: 'center' },
+        1: { cellWidth: CW * 0.10 },
+        3: { cellWidth: CW * 0.18 },
+      },
+      didParseCell: (d) => {
+        if (d.section === 'body' && d.row.index === history.length - 1) d.cell.styles.fontStyle = 'bold';
+      },
+    });
+    y = doc.lastAutoTable.finalY + 4;
   }
 
   // ── PAGE 2: DIMENSIONAL INSPECTION ───────────────────────────
   // NOTE: Part Drawing (page 3 in final PDF) is inserted by mergePDFs.js
   if (data.dimRows && data.dimRows.length > 0) {
-    doc.addPage('a4', 'landscape');
-    y = MT;
-    y = sectionHeading(doc, 'Dimensional Inspection', y);
-
     const n = data.sampleCount || 5;
     const ROW_H = 14;
 
@@ -264,7 +517,16 @@ async function generateQIR(data) {
     const showStatus     = !allBlank(data.dimRows, 'status_1');
     const showDimComment = !allBlank(data.dimRows, 'comment');
     // Photo column: blank means no fetched image for that row
-    const showDimPhoto   = data.dimRows.some((_, i) => !!dimPhotoMap[i]);
+    const showDimPhoto   = data.dimRows.some((_, i) => dimPhotoMap[i].length > 0);
+    // Capability columns: opt-in per report (capability_stats)
+    const showStats      = !!data.capability_stats;
+    const cpkThreshold   = data.cpk_threshold || 1.33;
+
+    const STAT_HEAD = ['Mean', 'Min', 'Max', 'Range', 'Std Dev', 'Cp', 'Cpk'];
+    const rowStats  = data.dimRows.map(r => {
+      const tol = rowTolerance(r);
+      return computeCapability(r.samples.slice(0, n), tol.lower, tol.upper);
+    });
 
     // Fixed column widths — omitted cols contribute 0, freeing space for sample cols
     const FIXED_NO_W   = CW * 0.04;
@@ -274,98 +536,144 @@ async function generateQIR(data) {
     const STATUS_W     = showStatus     ? CW * 0.065 : 0;
     const COMMENT_W    = showDimComment ? CW * 0.18 : 0;
     const PHOTO_W      = showDimPhoto   ? CW * 0.08  : 0;
-    const FIXED_TOTAL  = FIXED_NO_W + FIXED_PAR_W + SPEC_W + INSTR_W + STATUS_W + COMMENT_W + PHOTO_W;
-    const sColW        = (CW - FIXED_TOTAL) / n;
-
-    // Build header row and body rows with only present columns
-    const dimHead = ['No.', 'Parameter'];
-    if (showSpec)       dimHead.push('Specification');
-    if (showInstrument) dimHead.push('Instrument');
-    if (showDimPhoto)   dimHead.push('Photo');    
-    dimHead.push(...Array.from({ length: n }, (_, i) => `${i + 1}`));
-    if (showStatus)     dimHead.push('Status');
-    if (showDimComment) dimHead.push('Comments');
-
-
-    const dimBody = data.dimRows.map(r => {
-      const row = [r.index, r.parameter];
-      if (showSpec)       row.push(r.specificat   || '');
-      if (showInstrument) row.push(r.instrument   || '');
-      if (showDimPhoto) row.push('');      
-      row.push(...r.samples.slice(0, n).concat(Array(Math.max(0, n - r.samples.length)).fill('')));
-      if (showStatus)   row.push(r.status_1 || '');
-      if (showDimComment) row.push(r.comment || '');
-      return row;
+    const STAT_W       = showStats      ? CW * 0.042 : 0;   // per stat column
+
+    // Too many samples for one page → split the sample columns across pages.
+    // No./Parameter/Specification/Status repeat on every page; Instrument/Photo
+    // go with the first samples, stats/Comments with the last.
+    const chunks = planSampleChunks(n, {
+      repeatW: FIXED_NO_W + FIXED_PAR_W + SPEC_W + STATUS_W,
+      firstW:  INSTR_W + PHOTO_W,
+      lastW:   STAT_W * STAT_HEAD.length + COMMENT_W,
     });
 
-    // Column index tracking — shifts as optional cols are added
-    let ci = 2;
-    const specIdx   = showSpec       ? ci++ : -1;
-    const instrIdx  = showInstrument ? ci++ : -1;
-    const photoIdx  = showDimPhoto ? ci++   : -1;    
-    const sampleStart = ci; ci += n;
-    const statusIdx = showStatus   ? ci++ : -1;
-    const commentIdx = showDimComment ? ci : -1;
-
-    const dimColStyles = {
-      0: { cellWidth: FIXED_NO_W },
-      1: { cellWidth: FIXED_PAR_W, halign: 'left' },
-      ...Object.fromEntries(Array.from({ length: n }, (_, i) => [sampleStart + i, { cellWidth: sColW }])),
+    // Status cell text — on a mismatch the losing value goes under the winning one
+    const statusText = (r) => {
+      const other = data.status_source === 'computed'
+        ? `(entered: ${r.status_entered})`
+        : `(calc: ${r.status_computed})`;
+      return r.status_mismatch ? `${r.status_1}\n${other}` : (r.status_1 || '');
     };
-    if (showSpec)       dimColStyles[specIdx]  = { cellWidth: SPEC_W };
-    if (showInstrument) dimColStyles[instrIdx]  = { cellWidth: INSTR_W };
-    if (showStatus)     dimColStyles[statusIdx] = { cellWidth: STATUS_W };
-    if (showDimComment) dimColStyles[commentIdx] = { cellWidth: COMMENT_W, halign: 'left' };
-    if (showDimPhoto)   dimColStyles[photoIdx]  = { cellWidth: PHOTO_W };
 
-    doc.autoTable({
-      startY: y,
-      margin: { left: ML, right: MR },
-      tableWidth: CW,
-      head: [dimHead],
-      body: dimBody,
-      styles: {
-        fontSize: 7.5, cellPadding: 2, lineColor: BORDER, lineWidth: 0.3,
-        halign: 'center', valign: 'middle', minCellHeight: ROW_H,
-      },
-      headStyles: { fillColor: GRAY, textColor: DARK, fontStyle: 'bold', fontSize: 7 },
-      columnStyles: dimColStyles,
-      didParseCell: (d) => {
-        if (d.section !== 'body') return;
-        const raw = d.row.raw;
+    for (const chunk of chunks) {
+      doc.addPage('a4', 'landscape');
+      y = MT;
+      if (chunk.first) sections.push({ key: 'dimensional', title: 'Dimensional Inspection', page: doc.getNumberOfPages() });
+      y = sectionHeading(doc, chunks.length === 1
+        ? 'Dimensional Inspection'
+        : `Dimensional Inspection — ${chunk.end - chunk.start === 1
+            ? `Sample ${chunk.end}`
+            : `Samples ${chunk.start + 1}–${chunk.end}`}`, y, DARK);
+
+      // Columns present in this chunk, in display order
+      // key: what didParseCell / didDrawCell act on; sample columns carry their sample index
+      const cols = [
+        { key: 'no',    head: 'No.',       width: FIXED_NO_W,  cell: (r) => r.index },
+        { key: 'par',   head: 'Parameter', width: FIXED_PAR_W, cell: (r) => r.parameter, halign: 'left' },
+      ];
+      if (showSpec) cols.push({ key: 'spec', head: 'Specification', width: SPEC_W, cell: (r) => r.specificat || '' });
+      if (chunk.first && showInstrument) cols.push({ key: 'instr', head: 'Instrument', width: INSTR_W, cell: (r) => r.instrument || '' });
+      if (chunk.first && showDimPhoto)   cols.push({ key: 'photo', head: 'Photo',      width: PHOTO_W, cell: () => '' });
+
+      const fixedW = cols.reduce((s, c) => s + c.width, 0) + STATUS_W
+                   + (chunk.last ? STAT_W * STAT_HEAD.length + COMMENT_W : 0);
+      const count  = chunk.end - chunk.start;
+      // Single page keeps the original fill-the-width layout; split pages cap
+      // the sample width so a short last page doesn't get huge columns
+      const sColW  = chunks.length === 1
+        ? (CW - fixedW) / count
+        : Math.min((CW - fixedW) / count, MAX_SAMPLE_W);
+      for (let s = chunk.start; s < chunk.end; s++) {
+        cols.push({ key: 'sample', sample: s, head: `${s + 1}`, width: sColW, cell: (r) => r.samples[s] ?? '' });
+      }
 
-        // Status column — colour by Pass/Fail/Doubt
-        if (showStatus && d.column.index === statusIdx) {
-          const col = statusColor(raw[statusIdx]);
-          if (col) d.cell.styles.fillColor = col;
-        }
+      if (chunk.last && showStats) {
+        STAT_HEAD.forEach((head, k) => cols.push({
+          key: head === 'Cpk' ? 'cpk' : 'stat', head, width: STAT_W,
+          cell: (r, ri) => {
+            const st = rowStats[ri];
+            const d  = Math.max(0, ...r.samples.map(decimalsOf));
+            return [fmtNum(st.mean, Math.min(d + 1, 4)), fmtNum(st.min, d), fmtNum(st.max, d), fmtNum(st.range, d),
+                    fmtNum(st.stdDev, Math.min(d + 1, 4)), fmtNum(st.cp, 2), fmtNum(st.cpk, 2)][k];
+          },
+        }));
+      }
+      if (showStatus) cols.push({ key: 'status', head: 'Status', width: STATUS_W, cell: statusText });
+      if (chunk.last && showDimComment) cols.push({ key: 'comment', head: 'Comments', width: COMMENT_W, cell: (r) => r.comment || '', halign: 'left' });
+
+      const dimColStyles = Object.fromEntries(cols.map((c, i) =>
+        [i, c.halign ? { cellWidth: c.width, halign: c.halign } : { cellWidth: c.width }]));
+
+      doc.autoTable({
+        startY: y,
+        margin: { left: ML, right: MR },
+        tableWidth: cols.reduce((s, c) => s + c.width, 0),
+        head: [cols.map(c => c.head)],
+        body: data.dimRows.map((r, ri) => cols.map(c => c.cell(r, ri))),
+        styles: {
+          fontSize: 7.5, cellPadding: 2, lineColor: BORDER, lineWidth: 0.3,
+          halign: 'center', valign: 'middle', minCellHeight: ROW_H,
+        },
+        headStyles: { fillColor: GRAY, textColor: DARK, fontStyle: 'bold', fontSize: 7 },
+        columnStyles: dimColStyles,
+        didParseCell: (d) => {
+            if (d.section !== 'body') return;
+          const rowData = data.dimRows[d.row.index];
+          const col     = cols[d.column.index];
+
+          // Photo column — taller row when thumbnails need more than one line
+          if (col.key === 'photo') d.cell.styles.minCellHeight = photoCellHeight(dimPhotoMap[d.row.index], ROW_H);
+
+          // Status column — colour by the status shown (entered or computed, see status_source)
+          if (col.key === 'status') {
+            const fill = statusColor(rowData.status_1);
+            if (fill) d.cell.styles.fillColor = fill;
+          }
 
-        // Sample columns — highlight red if value is out of min/max range
-        if (d.column.index >= sampleStart && d.column.index < sampleStart + n) {
-          const rowNo   = raw[0];
-          const rowData = data.dimRows.find(r => r.index === rowNo);
-          if (rowData) {
-            const sampleVal = rowData.samples[d.column.index - sampleStart];
-            if (isOutOfRange(sampleVal, rowData.min, rowData.max)) {
-              d.cell.styles.fillColor = hexToRgb('#FADBD8');
-            }
+          // No. column — flag rows whose entered status disagrees with the computed one
+          if (col.key === 'no' && rowData.status_mismatch) {
+            d.cell.styles.fillColor = statusColor('doubt');
+            d.cell.styles.fontStyle = 'bold';
           }
-        }
-      },
-      didDrawCell: (d) => {
-        if (showDimPhoto && d.section === 'body' && d.column.index === photoIdx) {
-          const img = dimPhotoMap[d.row.index];
-          if (img) drawImgInCell(doc, img, d.cell.x, d.cell.y, d.cell.width, d.cell.height);
-        }
-      },
-    });
+
+          // Cpk column — colour when below the capability threshold
+          if (col.key === 'cpk') {
+            const fill = cpkColor(rowStats[d.row.index].cpk, cpkThreshold);
+            if (fill) d.cell.styles.fillColor = fill;
+          }
+
+          // Sample columns — highlight red if value is out of min/max range
+          if (col.key === 'sample' && isOutOfRange(rowData.samples[col.sample], rowTolerance(rowData))) {
+            d.cell.styles.fillColor = hexToRgb('#FADBD8');
+          }
+        },
+        didDrawCell: (d) => {
+          if (d.section === 'body' && cols[d.column.index].key === 'photo') {
+            drawPhotoThumbs(doc, dimPhotoMap[d.row.index], d.cell.x, d.cell.y, d.cell.width, d.cell.height, DARK);
+          }
+        },
+      });
+    }
+
+    if (data.statusMismatches.length > 0) {
+      y = doc.lastAutoTable.finalY + 4;
+      if (y > PH - MB - 6) { doc.addPage('a4', 'landscape'); y = MT; }
+      doc.setFontSize(7.5);
+      doc.setFont('helvetica', 'italic');
+      doc.setTextColor(60, 60, 60);
+      doc.text(
+        `Highlighted No. — entered status differs from the status computed from samples and limits `
+        + `(${data.status_source === 'computed' ? 'computed' : 'entered'} status shown; the other in brackets).`,
+        ML, y);
+    }
   }
 
   // ── PAGE 3: VISUAL INSPECTION ─────────────────────────────────
   if (data.visRows && data.visRows.length > 0) {
     doc.addPage('a4', 'landscape');
     y = MT;
-    y = sectionHeading(doc, 'Visual Inspection', y);
+    sections.push({ key: 'visual', title: 'Visual Inspection', page: doc.getNumberOfPages() });
+    y = sectionHeading(doc, 'Visual Inspection', y, DARK);
 
     const ROW_H = 14;
 
@@ -374,7 +682,7 @@ async function generateQIR(data) {
 
     const showVisStatus   = !allBlankV(data.visRows, 'status');
     const showVisComments = !allBlankV(data.visRows, 'comments');
-    const showVisPhoto    = data.visRows.some((_, i) => !!visPhotoMap[i]);
+    const showVisPhoto    = data.visRows.some((_, i) => visPhotoMap[i].length > 0);
 
     const STATUS_W  = showVisStatus   ? CW * 0.10 : 0;
     const COMMENT_W = showVisComments ? CW - CW * 0.06 - CW * 0.22 - STATUS_W - (showVisPhoto ? CW * 0.09 : 0) : 0;
@@ -420,6 +728,9 @@ async function generateQIR(data) {
       columnStyles: visColStyles,
       didParseCell: (d) => {
         if (d.section !== 'body') return;
+        if (showVisPhoto && d.column.index === visPhotoIdx) {
+          d.cell.styles.minCellHeight = photoCellHeight(visPhotoMap[d.row.index], ROW_H);
+        }
         // Status column — colour by Pass/Fail/Doubt
         if (showVisStatus && d.column.index === visStatusIdx) {
           const col = statusColor(d.row.raw[visStatusIdx]);
@@ -428,8 +739,7 @@ async function generateQIR(data) {
       },
       didDrawCell: (d) => {
         if (showVisPhoto && d.section === 'body' && d.column.index === visPhotoIdx) {
-          const img = visPhotoMap[d.row.index];
-          if (img) drawImgInCell(doc, img, d.cell.x, d.cell.y, d.cell.width, d.cell.height);
+          drawPhotoThumbs(doc, visPhotoMap[d.row.index], d.cell.x, d.cell.y, d.cell.width, d.cell.height, DARK);
         }
       },
     });
@@ -450,7 +760,42 @@ async function generateQIR(data) {
     }
   }
 
-  return Buffer.from(doc.output('arraybuffer'));
+  // ── PHOTO APPENDIX: every QC photo full size, two per page ───
+  if (appendixPhotos.length > 0) {
+    const GAP    = APPENDIX_GAP;
+    const SLOT_W = PHOTO_BOX.widthMm;
+    const CAP_H  = APPENDIX_CAP_H;
+
+    for (let i = 0; i < appendixPhotos.length; i += 2) {
+      doc.addPage('a4', 'landscape');
+      y = MT;
+      if (i === 0) sections.push({ key: 'photos', title: 'Photo Appendix', page: doc.getNumberOfPages() });
+      y = sectionHeading(doc, i === 0 ? 'Photo Appendix' : 'Photo Appendix (cont.)', y, DARK);
+      const slotH = PH - MB - y - CAP_H;
+
+      appendixPhotos.slice(i, i + 2).forEach((p, j) => {
+        const x = ML + j * (SLOT_W + GAP);
+        doc.setDrawColor(...BORDER);
+        doc.setLineWidth(0.3);
+        doc.rect(x, y, SLOT_W, slotH + CAP_H);
+        drawImgInCell(doc, p.img, x, y, SLOT_W, slotH, 3);
+
+        doc.setFontSize(9);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...DARK);
+        const title = `${p.ref} — ${p.section} #${p.row.index}: ${p.row.parameter || '(unnamed)'}`;
+        drawText(doc, splitText(doc, title, SLOT_W - 6)[0], x + 3, y + slotH + 4.5);
+        if (p.caption) {
+          doc.setFontSize(8);
+          doc.setFont('helvetica', 'normal');
+          doc.setTextColor(60, 60, 60);
+          drawText(doc, splitText(doc, p.caption, SLOT_W - 6).slice(0, 2), x + 3, y + slotH + 8.5);
+        }
+      });
+    }
+  }
+
+  return { buffer: await unicodeOutput(doc), sections };
 }
 
-module.exports = { generateQIR };
+module.exports = { generateQIR, hexToRgb };
@@ -0,0 +1,74 @@
+/**
+ * idempotency.js
+ * De-duplicates AppSheet webhook deliveries.
+ *
+ * AppSheet occasionally fires the same bot twice. Each delivery gets a key
+ *   <sample_id>:<timestamp>:<sha256 of payload>
+ * and the first delivery's job ID is remembered for a time window. A repeat
+ * inside the window is answered with the first job instead of running the
+ * pipeline (and its emails / CheckIn rows) again. The payload's own `force`
+ * flag is left out of the hash so a forced re-run still matches its original.
+ *
+ * Env vars:
+ *   IDEMPOTENCY_WINDOW_MINUTES  — how long a delivery is remembered (default: 30)
+ */
+
+const crypto = require('crypto');
+const { dataPath, readJSON, writeJSON } = require('./dataStore');
+
+const STORE_FILE = dataPath('idempotency.json');
+const WINDOW_MS  = parseFloat(process.env.IDEMPOTENCY_WINDOW_MINUTES || '30') * 60 * 1000;
+
+/** JSON.stringify with sorted object keys, so key order never changes the hash. */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Build the idempotency key for a raw AppSheet body.
+ * @param {object} body
+ * @returns {string}
+ */
+function deliveryKey(body) {
+  const { force, ...rest } = body || {};
+  const sample = rest.Sample || {};
+  const hash   = crypto.createHash('sha256').update(stableStringify(rest)).digest('hex');
+  return `${sample.sample_id || ''}:${sample.timestamp || ''}:${hash}`;
+}
+
+/** Load the store, dropping entries older than the window. */
+function loadEntries() {
+  const now     = Date.now();
+  const entries = readJSON(STORE_FILE, {});
+  for (const [key, entry] of Object.entries(entries)) {
+    if (now - Date.parse(entry.createdAt) > WINDOW_MS) delete entries[key];
+  }
+  return entries;
+}
+
+/**
+ * Look up an earlier delivery with the same key.
+ * @param {string} key
+ * @returns {{ jobId: string, createdAt: string } | null}
+ */
+function findDelivery(key) {
+  return loadEntries()[key] || null;
+}
+
+/**
+ * Remember that this key was handled by jobId.
+ * @param {string} key
+ * @param {string} jobId
+ */
+function recordDelivery(key, jobId) {
+  const entries = loadEntries();
+  entries[key]  = { jobId, createdAt: new Date().toISOString() };
+  writeJSON(STORE_FILE, entries);
+}
+
+module.exports = { deliveryKey, findDelivery, recordDelivery };
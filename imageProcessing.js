@@ -0,0 +1,150 @@
+/**
+ * imageProcessing.js
+ * Normalises photos before they are embedded in the QIR:
+ *
+ *   1. reads the EXIF orientation of JPEGs and rotates / flips the pixels,
+ *      so portrait phone photos are no longer drawn sideways
+ *   2. downsizes to the pixels needed for the box the photo is drawn in
+ *      at IMAGE_DPI (a 135 mm wide box at 150 DPI → 800 px)
+ *   3. re-encodes as JPEG at IMAGE_JPEG_QUALITY
+ *
+ * Uses node-canvas. When its native build can't be loaded the image is
+ * embedded as fetched (logged once), so a missing binary never breaks a report.
+ * An image that would come out bigger and needs no rotation is also kept as-is.
+ *
+ * Env vars:
+ *   IMAGE_DPI           — target resolution in the PDF (default: 150)
+ *   IMAGE_JPEG_QUALITY  — JPEG quality 0–1 (default: 0.8)
+ */
+
+const DPI     = parseInt(process.env.IMAGE_DPI || '150', 10);
+const QUALITY = Math.min(Math.max(parseFloat(process.env.IMAGE_JPEG_QUALITY || '0.8'), 0.1), 1);
+const MM_PER_INCH = 25.4;
+
+// ── canvas (lazy) ─────────────────────────────────────────────
+let canvasLib;   // undefined = not tried yet, null = unavailable
+let canvasError = null;
+
+function getCanvas() {
+  if (canvasLib !== undefined) return canvasLib;
+  try {
+    canvasLib = require('canvas');
+  } catch (e) {
+    canvasError = `canvas not available: ${e.message.split('\n')[0]}`;
+    console.warn(`  ⚠ ${canvasError} — photos embedded without resizing`);
+    canvasLib = null;
+  }
+  return canvasLib;
+}
+
+// ── EXIF orientation ──────────────────────────────────────────
+
+/**
+ * EXIF orientation tag (0x0112) of a JPEG.
+ * @param {Buffer} buf
+ * @returns {number} 1–8, 1 when absent or not a JPEG
+ */
+function readExifOrientation(buf) {
+  if (buf.length < 4 || buf[0] !== 0xFF || buf[1] !== 0xD8) return 1;
+  let off = 2;
+  while (off + 4 <= buf.length) {
+    if (buf[off] !== 0xFF) return 1;
+    const marker = buf[off + 1];
+    const len    = buf.readUInt16BE(off + 2);
+    if (marker === 0xDA) return 1;   // start of scan — no EXIF before the image data
+    if (marker === 0xE1 && buf.toString('latin1', off + 4, off + 10) === 'Exif\0\0') {
+      const tiff = off + 10;
+      if (tiff + 8 > buf.length) return 1;
+      const le   = buf.toString('latin1', tiff, tiff + 2) === 'II';
+      const u16  = (p) => le ? buf.readUInt16LE(p) : buf.readUInt16BE(p);
+      const u32  = (p) => le ? buf.readUInt32LE(p) : buf.readUInt32BE(p);
+      const ifd  = tiff + u32(tiff + 4);
+      if (ifd + 2 > buf.length) return 1;
+      const count = u16(ifd);
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > buf.length) return 1;
+        if (u16(entry) === 0x0112) {
+          const value = u16(entry + 8);
+          return value >= 1 && value <= 8 ? value : 1;
+        }
+      }
+      return 1;
+    }
+    off += 2 + len;
+  }
+  return 1;
+}
+
+/**
+ * Canvas transform that draws a w × h image upright for an EXIF orientation.
+ * Orientations 5–8 swap width and height.
+ */
+function orientationTransform(orientation, w, h) {
+  switch (orientation) {
+    case 2: return [-1, 0, 0, 1, w, 0];
+    case 3: return [-1, 0, 0, -1, w, h];
+    case 4: return [1, 0, 0, -1, 0, h];
+    case 5: return [0, 1, 1, 0, 0, 0];
+    case 6: return [0, 1, -1, 0, h, 0];
+    case 7: return [0, -1, -1, 0, h, w];
+    case 8: return [0, -1, 1, 0, 0, w];
+    default: return [1, 0, 0, 1, 0, 0];
+  }
+}
+
+// ── Main export ──────────────────────────────────────────────
+
+/**
+ * Rotate, downsize and re-encode one image for a box of the given size.
+ * @param {Buffer} buffer      — image bytes as fetched
+ * @param {string} contentType — e.g. 'image/png'
+ * @param {object} box
+ * @param {number} box.widthMm  — widest the image is drawn in the PDF
+ * @param {number} box.heightMm — tallest the image is drawn in the PDF
+ * @returns {Promise<{ buffer, contentType, orientation, processed: boolean, skipped?: string }>}
+ *   processed — false when the original bytes are returned
+ *   skipped   — why nothing could be resized (canvas missing), when that's the reason
+ */
+async function normalizeImage(buffer, contentType, { widthMm, heightMm }) {
+  const orientation = readExifOrientation(buffer);
+  const original    = { buffer, contentType, orientation, processed: false };
+
+  const canvas = getCanvas();
+  if (!canvas) return { ...original, skipped: canvasError };
+
+  let img;
+  try {
+    img = await canvas.loadImage(buffer);
+  } catch (e) {
+    console.warn(`  Image decode failed — embedded as-is: ${e.message}`);
+    return original;
+  }
+
+  // Upright dimensions, then scale down to fit the box at DPI (never up)
+  const swap   = orientation >= 5;
+  const upW    = swap ? img.height : img.width;
+  const upH    = swap ? img.width  : img.height;
+  const maxW   = Math.round(widthMm  / MM_PER_INCH * DPI);
+  const maxH   = Math.round(heightMm / MM_PER_INCH * DPI);
+  const scale  = Math.min(maxW / upW, maxH / upH, 1);
+  const outW   = Math.max(1, Math.round(upW * scale));
+  const outH   = Math.max(1, Math.round(upH * scale));
+  const drawW  = swap ? outH : outW;
+  const drawH  = swap ? outW : outH;
+
+  if (scale === 1 && orientation === 1 && /jpe?g/i.test(contentType)) return original;
+
+  const cv  = canvas.createCanvas(outW, outH);
+  const ctx = cv.getContext('2d');
+  ctx.fillStyle = '#FFFFFF';                 // JPEG has no alpha — flatten PNGs onto white
+  ctx.fillRect(0, 0, outW, outH);
+  ctx.setTransform(...orientationTransform(orientation, drawW, drawH));
+  ctx.drawImage(img, 0, 0, drawW, drawH);
+
+  const out = cv.toBuffer('image/jpeg', { quality: QUALITY });
+  if (out.length >= buffer.length && orientation === 1) return original;
+  return { buffer: out, contentType: 'image/jpeg', orientation, processed: true };
+}
+
+module.exports = { normalizeImage, readExifOrientation };
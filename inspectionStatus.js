@@ -0,0 +1,109 @@
+/**
+ * inspectionStatus.js
+ * Computes each dimensional row's Pass/Fail from its samples and limits and
+ * compares it with the status the inspector entered.
+ *
+ *   computed  'Fail' if any numeric sample is out of range, 'Pass' if all
+ *             numeric samples are in range, null when there are no limits
+ *             or no numeric samples (nothing to compare)
+ *   mismatch  entered status is non-blank, computed is non-null, and they differ
+ *
+ * Which one is printed and coloured in the Status column is chosen by
+ * data.status_source:
+ *   'entered'  (default) — the inspector's value wins, computed shown beside it
+ *   'computed'           — the computed value wins, entered shown beside it
+ * A row with no computable status always shows what was entered.
+ *
+ * buildConclusion() rolls every row up into the page-1 verdict.
+ */
+
+const { rowTolerance, isOutOfRange } = require('./tolerance');
+
+/**
+ * Status derived from a row's samples and limits.
+ * @param {object} row — dim row from parsePayload
+ * @returns {'Pass'|'Fail'|null}
+ */
+function computeDimStatus(row) {
+  const tol = rowTolerance(row);
+  if (tol.lower === null && tol.upper === null) return null;
+  const numeric = (row.samples || []).filter(v => !isNaN(parseFloat(String(v).trim())));
+  if (numeric.length === 0) return null;
+  return numeric.some(v => isOutOfRange(v, tol)) ? 'Fail' : 'Pass';
+}
+
+/**
+ * Add derived status fields to every dim row. Safe to call twice — data that
+ * already carries statusMismatches is returned unchanged.
+ * @param {object} data — parsed payload
+ * @returns {object} copy of data where each dim row has
+ *   status_entered, status_computed, status_mismatch and status_1 (the winner),
+ *   plus data.statusMismatches: [{ index, parameter, entered, computed, shown }]
+ */
+function applyDerivedStatuses(data) {
+  if (data.statusMismatches) return data;
+  const source = String(data.status_source || 'entered').toLowerCase() === 'computed' ? 'computed' : 'entered';
+
+  const statusMismatches = [];
+  const dimRows = (data.dimRows || []).map(r => {
+    const entered  = String(r.status_1 || '').trim();
+    const computed = computeDimStatus(r);
+    const mismatch = !!entered && !!computed && entered.toLowerCase() !== computed.toLowerCase();
+    const shown    = source === 'computed' && computed ? computed : entered;
+
+    if (mismatch) {
+      statusMismatches.push({ index: r.index, parameter: r.parameter, entered, computed, shown });
+    }
+    return { ...r, status_entered: entered, status_computed: computed, status_mismatch: mismatch, status_1: shown };
+  });
+
+  if (statusMismatches.length) {
+    console.warn(`  ${statusMismatches.length} dim row(s) where entered status differs from computed (${source} wins)`);
+  }
+  return { ...data, status_source: source, dimRows, statusMismatches };
+}
+
+// ── Overall conclusion ───────────────────────────────────────
+
+/**
+ * Overall verdict from the row statuses and missing documents.
+ *   Rejected               — any row is Fail
+ *   Accepted with Deviation — any row is Doubt, or a certificate / the drawing
+ *                            could not be fetched
+ *   Accepted               — everything else with at least one Pass
+ * Returns null when there is nothing to judge (no statuses, nothing missing).
+ *
+ * @param {object} data        — parsed payload (after applyDerivedStatuses)
+ * @param {Array}  missingDocs — [{ label, error }] documents that failed to fetch
+ * @returns {{ verdict, status, counts, failing, missingDocs, text } | null}
+ *   status: 'pass' | 'fail' | 'doubt' — for statusColor()
+ */
+function buildConclusion(data, missingDocs = []) {
+  const counts  = { pass: 0, fail: 0, doubt: 0 };
+  const failing = [];
+
+  const tally = (status, parameter) => {
+    const s = String(status || '').trim().toLowerCase();
+    if (!['pass', 'fail', 'doubt'].includes(s)) return;
+    counts[s]++;
+    if (s === 'fail') failing.push(parameter || '(unnamed)');
+  };
+  (data.dimRows || []).forEach(r => tally(r.status_1, r.parameter));
+  (data.visRows || []).forEach(r => tally(r.status,   r.parameter));
+
+  if (counts.pass + counts.fail + counts.doubt === 0 && missingDocs.length === 0) return null;
+
+  let verdict, status;
+  if (counts.fail > 0)                                { verdict = 'Rejected';                status = 'fail';  }
+  else if (counts.doubt > 0 || missingDocs.length > 0) { verdict = 'Accepted with Deviation'; status = 'doubt'; }
+  else                                                { verdict = 'Accepted';                status = 'pass';  }
+
+  const parts = [`${counts.pass} Pass, ${counts.fail} Fail, ${counts.doubt} Doubt across `
+    + `${(data.dimRows || []).length} dimensional and ${(data.visRows || []).length} visual checks.`];
+  if (failing.length)     parts.push(`Failing: ${failing.join(', ')}.`);
+  if (missingDocs.length) parts.push(`Not available: ${missingDocs.map(d => d.label).join(', ')}.`);
+
+  return { verdict, status, counts, failing, missingDocs, text: parts.join(' ') };
+}
+
+module.exports = { computeDimStatus, applyDerivedStatuses, buildConclusion };
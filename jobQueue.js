@@ -0,0 +1,206 @@
+/**
+ * jobQueue.js
+ * Persistent background queue for the QIR pipeline.
+ *
+ * POST /generate only enqueues a job and returns its ID; the worker here runs
+ * jobs one at a time (PDF building is CPU heavy) and records every stage:
+ *
+ *   generate → merge → upload → appsheet → email
+ *
+ * Each job is one JSON file under DATA_DIR/jobs/, rewritten on every state
+ * change. On startup, jobs left 'queued' or 'running' by a previous process
+ * are picked up again. Side-effect stages (upload, appsheet, email) that
+ * already finished are not repeated on resume — their saved result is reused,
+ * and once one has, the stored PDF is reused instead of rebuilt (server.js).
+ *
+ * Env vars:
+ *   JOB_RETENTION_DAYS  — finished jobs older than this are deleted (default: 7)
+ */
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { dataPath, ensureDir, readJSON, writeJSON } = require('./dataStore');
+
+const JOBS_DIR       = dataPath('jobs');
+const STAGES         = ['generate', 'merge', 'upload', 'appsheet', 'email'];
+const RETENTION_DAYS = parseFloat(process.env.JOB_RETENTION_DAYS || '7');
+
+let handler = null;   // async (job, stage) => result
+let running = false;
+
+function jobFile(id) {
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+function saveJob(job) {
+  writeJSON(jobFile(job.id), job);
+  return job;
+}
+
+function loadJob(id) {
+  if (!/^[a-f0-9-]+$/i.test(String(id))) return null;
+  return readJSON(jobFile(id), null);
+}
+
+function listJobs() {
+  ensureDir(JOBS_DIR);
+  return fs.readdirSync(JOBS_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => readJSON(path.join(JOBS_DIR, f), null))
+    .filter(Boolean);
+}
+
+/**
+ * Queue a new job.
+ * @param {object} payload  — raw AppSheet body (jobs queued without `parsed` are parsed from it)
+ * @param {object} [parsed] — the payload as parsed by POST /generate, so the
+ *                            handler doesn't parse it again
+ * @returns {object} the stored job
+ */
+function enqueueJob(payload, parsed = null) {
+  const job = {
+    id:         crypto.randomUUID(),
+    status:     'queued',
+    createdAt:  new Date().toISOString(),
+    startedAt:  null,
+    finishedAt: null,
+    attempts:   0,
+    stages:     Object.fromEntries(STAGES.map(s => [s, { status: 'pending' }])),
+    result:     null,
+    error:      null,
+    payload,
+    parsed,
+  };
+  saveJob(job);
+  console.log(`  Job ${job.id} queued`);
+  setImmediate(drain);
+  return job;
+}
+
+/** Public view of a job — everything except the (large) raw and parsed payload. */
+function getJob(id) {
+  const job = loadJob(id);
+  if (!job) return null;
+  const { payload, parsed, ...rest } = job;
+  return rest;
+}
+
+// ── Stage runner handed to the job handler ───────────────────
+// stage(name, fn, { sideEffect }) runs fn and records status + timing.
+// A stage that throws is marked failed and the error propagates.
+// stage.skip(name, reason) marks a stage as intentionally not run.
+function makeStageRunner(job) {
+  async function stage(name, fn, { sideEffect = false } = {}) {
+    const rec = job.stages[name] || (job.stages[name] = { status: 'pending' });
+
+    if (sideEffect && rec.status === 'done') {
+      console.log(`  [${name}] already done in a previous attempt — skipping`);
+      return rec.result;
+    }
+
+    const started  = Date.now();
+    rec.status     = 'running';
+    rec.startedAt  = new Date(started).toISOString();
+    rec.finishedAt = null;
+    rec.error      = null;
+    saveJob(job);
+
+    try {
+      const result   = await fn();
+      rec.status     = 'done';
+      rec.finishedAt = new Date().toISOString();
+      rec.durationMs = Date.now() - started;
+      if (sideEffect) rec.result = result === undefined ? null : result;
+      saveJob(job);
+      return result;
+    } catch (err) {
+      rec.status     = 'failed';
+      rec.finishedAt = new Date().toISOString();
+      rec.durationMs = Date.now() - started;
+      rec.error      = err.message;
+      saveJob(job);
+      throw err;
+    }
+  }
+
+  stage.skip = (name, reason = '') => {
+    job.stages[name] = { status: 'skipped', reason };
+    saveJob(job);
+  };
+
+  return stage;
+}
+
+async function runJob(job) {
+  job.status    = 'running';
+  job.startedAt = new Date().toISOString();
+  job.attempts += 1;
+  job.error     = null;
+  saveJob(job);
+  console.log(`\n━━━━━━━━━━━━ JOB ${job.id} (attempt ${job.attempts}) ━━━━━━━━━━━━`);
+
+  try {
+    job.result = await handler(job, makeStageRunner(job));
+    job.status = 'done';
+  } catch (err) {
+    console.error(`✗ Job ${job.id} failed:`, err);
+    job.status = 'failed';
+    job.error  = err.message;
+  }
+  job.finishedAt = new Date().toISOString();
+  saveJob(job);
+}
+
+// ── Worker loop — strictly one job at a time ─────────────────
+async function drain() {
+  if (running || !handler) return;
+  running = true;
+  try {
+    for (;;) {
+      const next = listJobs()
+        .filter(j => j.status === 'queued')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+      if (!next) break;
+      await runJob(next);
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/** Requeue jobs interrupted by a restart and drop old finished ones. */
+function recoverJobs() {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let requeued = 0, pruned = 0;
+
+  for (const job of listJobs()) {
+    if (job.status === 'running') {
+      job.status = 'queued';
+      for (const rec of Object.values(job.stages)) {
+        if (rec.status === 'running') rec.status = 'pending';
+      }
+      saveJob(job);
+      requeued++;
+    } else if (job.status === 'queued') {
+      requeued++;
+    } else if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      fs.unlinkSync(jobFile(job.id));
+      pruned++;
+    }
+  }
+  if (requeued || pruned) console.log(`  Job queue: ${requeued} job(s) resumed, ${pruned} old job(s) pruned`);
+}
+
+/**
+ * Start processing. Call once at startup.
+ * @param {Function} jobHandler — async (job, stage) => result stored on the job
+ */
+function startJobQueue(jobHandler) {
+  handler = jobHandler;
+  ensureDir(JOBS_DIR);
+  recoverJobs();
+  setImmediate(drain);
+}
+
+module.exports = { STAGES, enqueueJob, getJob, startJobQueue };
@@ -1,17 +1,44 @@
 /**
  * mergePDFs.js
- * 1. Builds an index page (page 2 of final PDF)
- * 2. Fetches drawing PDF, stamps it, inserts as page 3 (if present)
- * 3. Stamps page numbers + logo on ALL pages (QIR + drawing + certs)
+ * 1. Builds the index (from page 2 of final PDF); meta.changeSummary (PDF
+ *    from changeSummary.js) is placed right after it
+ * 2. Fetches the drawings (meta.drawings — PDF or PNG / JPEG), stamps every
+ *    page "Part Drawing (n/m)", inserts them right after the index;
+ *    meta.balloons puts dimensional row numbers on them (stampBalloons)
+ * 3. Stamps page numbers + logo on ALL pages (QIR + drawings + certs)
  * 4. Stamps heading text (no white strip) on first page of each cert
  * 5. Merges everything into one PDF Buffer
  *
+ * Logo, footer bar colours / text and index colours come from meta.branding
+ * (branding.js); without it the default profile is used.
+ * Labels, headings and footer text go through unicodeFonts.js, so any UTF-8
+ * falls back per glyph from Helvetica to the bundled Unicode fonts.
+ *
+ * Certificates may be PDFs or PNG / JPEG images — an image becomes an upright
+ * A4 page; other files are listed in the index as unsupported attachments.
+ * meta.fitCertsToA4 fits PDF certificates to A4 landscape (fitPageToA4Landscape).
+ *
+ * Index rows link to their pages, and the merged PDF carries an outline
+ * (bookmarks) for Part Information, each drawing, the QIR sections and each
+ * certificate — both resolved to final page numbers after remapping.
+ *
+ * buildMergedPDF() resolves to { buffer, sha256, layout, certResults, failures, unsupported }:
+ *   sha256      — hex SHA-256 of buffer, stored with the report (verification.js)
+ *   layout      — final page number of every part (index, drawings, QIR, certs)
+ *   certResults — one { label, url, ok, pageCount, error } per certificate
+ *   failures    — [{ type: 'drawing'|'certificate', label, url, reason }] for
+ *                 every document that could not be fetched or read; the index
+ *                 shows them as "Not available"
+ *   unsupported — [{ type, label, url, fileType }] files that are neither PDF
+ *                 nor image; the index lists them as unsupported attachments
+ *
  * Final page order:
  *   p.1          → QIR p.1 (Header + Part Info)
- *   p.2          → Index
- *   p.3          → Part Drawing p.1 (if present) ← NEW
- *   p.4..N+2     → remaining QIR pages (Dimensional, Visual, etc.)
- *   p.N+3..end   → Certificates
+ *   p.2..I+1     → Index (I pages — as many as its rows need)
+ *   then         → Change Summary (if meta.changeSummary)
+ *   then         → Part Drawings, every page of each (if present)
+ *   then         → remaining QIR pages (Dimensional, Visual, etc.)
+ *   then..end    → Certificates
  *
  * Bulletproof page positioning:
  *   - Uses CropBox if present, falls back to MediaBox
@@ -19,25 +46,34 @@
  *   - Works correctly for scanned PDFs, portrait, landscape, any size
  */
 
-const fetch = require('node-fetch');
-const { PDFDocument, rgb, StandardFonts, degrees } = require('pdf-lib');
+const crypto = require('crypto');
+const {
+  PDFDocument, PDFName, PDFHexString, rgb, StandardFonts, degrees,
+  pushGraphicsState, popGraphicsState, concatTransformationMatrix, drawObject,
+} = require('pdf-lib');
+const { cachedFetch } = require('./fileCache');
+const { normalizeImage } = require('./imageProcessing');
+const { resolveBranding, loadLogo } = require('./branding');
+const { createTextKit } = require('./unicodeFonts');
+
+// ── Branding — logo and colours from the report's profile (branding.js) ──
+async function ensureLogo(brand) {
+  const logo = await loadLogo(brand);
+  return logo ? logo.buffer : null;
+}
 
-// ── Logo — fetched once, reused across all requests ──────────
-const LOGO_URL = 'https://res.cloudinary.com/dbwg6zz3l/image/upload/w_300,f_png,q_90/v1773643264/Black_Yellow_kq9kef.png';
-let logoPngBytes = null;
+/** Embed logo bytes — PNG or JPEG. Returns null if neither works. */
+async function embedLogo(pdf, bytes) {
+  if (!bytes) return null;
+  try { return await pdf.embedPng(bytes); } catch(e) {}
+  try { return await pdf.embedJpg(bytes); } catch(e) {}
+  return null;
+}
 
-async function ensureLogo() {
-  if (logoPngBytes) return logoPngBytes;
-  try {
-    const res = await fetch(LOGO_URL, { timeout: 10000 });
-    if (res.ok) {
-      logoPngBytes = Buffer.from(await res.arrayBuffer());
-      console.log(`  Logo fetched: ${(logoPngBytes.length / 1024).toFixed(0)} KB`);
-    }
-  } catch(e) {
-    console.warn('  Logo fetch failed — will skip logo on pages:', e.message);
-  }
-  return logoPngBytes;
+/** '#RRGGBB' → pdf-lib colour. */
+function pdfColor(hex) {
+  const n = parseInt(String(hex).replace('#', ''), 16);
+  return rgb(((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255);
 }
 
 // ── Bulletproof visible-area helper ──────────────────────────
@@ -49,14 +85,30 @@ function getVisibleBox(page) {
   return page.getMediaBox();
 }
 
-// ── Fetch PDF from URL ────────────────────────────────────────
-async function fetchPDF(url) {
-  const res = await fetch(url, {
+// ── Fetch file from URL (disk-cached, see fileCache.js) ──────
+async function fetchFile(url) {
+  return cachedFetch(url, {
     headers: { 'User-Agent': 'QIR-Server/2.0' },
     timeout: 30000,
   });
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${String(url).substring(0, 80)}`);
-  return Buffer.from(await res.arrayBuffer());
+}
+
+/** File type from the first bytes — 'pdf' | 'png' | 'jpeg' | null. */
+function detectFileType(bytes) {
+  if (!bytes || bytes.length < 4) return null;
+  if (bytes.subarray(0, 1024).toString('latin1').includes('%PDF-')) return 'pdf';   // may follow junk bytes
+  if (bytes[0] === 0x89 && bytes.toString('latin1', 1, 4) === 'PNG') return 'png';
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+  return null;
+}
+
+/** Short name for an unsupported file — its extension, else the content type. */
+function describeFileType(url, contentType) {
+  let name = String(url);
+  try { name = decodeURIComponent(name); } catch (e) { /* keep as-is */ }
+  const ext = name.match(/\.([a-z0-9]{2,5})(?:$|[?#&])/i);
+  if (ext) return `.${ext[1].toLowerCase()}`;
+  return contentType ? contentType.split(';')[0] : 'unknown type';
 }
 
 // ── Rotation-aware footer stamping ───────────────────────────
@@ -70,7 +122,8 @@ async function fetchPDF(url) {
 //   180° → raw top     (y = box.y + height)
 //   270° → raw right   (x = box.x + width)   bar is a vertical strip
 //
-function stampFooterOnPage(page, font, fontBold, logoImg, pgStr, label, barColor, textColor) {
+function stampFooterOnPage(page, text, logoImg, pgStr, label, barColor, textColor) {
+  const font = text.font;
   const box      = getVisibleBox(page);
   const bx       = box.x, by = box.y;
   const W        = box.width, H = box.height;
@@ -100,8 +153,8 @@ function stampFooterOnPage(page, font, fontBold, logoImg, pgStr, label, barColor
 
     const textY = by + barH * 0.28;
     if (label) {
-      const labelW = fontBold.widthOfTextAtSize(label, fontSize);
-      page.drawText(label, { x: bx + W / 2 - labelW / 2, y: textY, size: fontSize, font: fontBold, color: textColor });
+      const labelW = text.width(label, fontSize, true);
+      text.draw(page, label, { x: bx + W / 2 - labelW / 2, y: textY, size: fontSize, bold: true, color: textColor });
       const pgW = font.widthOfTextAtSize(pgStr, fontSize);
       page.drawText(pgStr, { x: bx + W - PAD_R - pgW, y: textY, size: fontSize, font, color: textColor });
     } else {
@@ -130,10 +183,10 @@ function stampFooterOnPage(page, font, fontBold, logoImg, pgStr, label, barColor
 
     const textX = bx + barH * 0.28;
     if (label) {
-      const labelW = fontBold.widthOfTextAtSize(label, fontSize);
-      page.drawText(label, {
+      const labelW = text.width(label, fontSize, true);
+      text.draw(page, label, {
         x: textX, y: by + H / 2 - labelW / 2,
-        size: fontSize, font: fontBold, color: textColor, rotate: degrees(90),
+        size: fontSize, bold: true, color: textColor, rotate: degrees(90),
       });
       const pgW = font.widthOfTextAtSize(pgStr, fontSize);
       page.drawText(pgStr, {
@@ -169,10 +222,10 @@ function stampFooterOnPage(page, font, fontBold, logoImg, pgStr, label, barColor
 
     const textY = barY + barH - barH * 0.28 - fontSize;
     if (label) {
-      const labelW = fontBold.widthOfTextAtSize(label, fontSize);
-      page.drawText(label, {
+      const labelW = text.width(label, fontSize, true);
+      text.draw(page, label, {
         x: bx + W / 2 + labelW / 2, y: textY,
-        size: fontSize, font: fontBold, color: textColor, rotate: degrees(180),
+        size: fontSize, bold: true, color: textColor, rotate: degrees(180),
       });
       const pgW = font.widthOfTextAtSize(pgStr, fontSize);
       page.drawText(pgStr, {
@@ -207,10 +260,10 @@ function stampFooterOnPage(page, font, fontBold, logoImg, pgStr, label, barColor
 
     const textX = barX + barH - barH * 0.28;
     if (label) {
-      const labelW = fontBold.widthOfTextAtSize(label, fontSize);
-      page.drawText(label, {
+      const labelW = text.width(label, fontSize, true);
+      text.draw(page, label, {
         x: textX, y: by + H / 2 + labelW / 2,
-        size: fontSize, font: fontBold, color: textColor, rotate: degrees(270),
+        size: fontSize, bold: true, color: textColor, rotate: degrees(270),
       });
       const pgW = font.widthOfTextAtSize(pgStr, fontSize);
       page.drawText(pgStr, {
@@ -234,24 +287,20 @@ function stampFooterOnPage(page, font, fontBold, logoImg, pgStr, label, barColor
 }
 
 // ── Stamp page number + logo on every page of a PDF ──────────
-async function stampPageNumbers(pdfBytes, startPageNum, label = null) {
+// label defaults to the profile's footer text
+async function stampPageNumbers(pdfBytes, startPageNum, label = null, brand = resolveBranding()) {
+  label = label || brand.footerText || null;
   const pdf       = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
-  const font      = await pdf.embedFont(StandardFonts.Helvetica);
-  const fontBold  = await pdf.embedFont(StandardFonts.HelveticaBold);
-  const logoBytes = await ensureLogo();
-
-  let logoImg = null;
-  if (logoBytes) {
-    try { logoImg = await pdf.embedPng(logoBytes); } catch(e) {}
-  }
+  const text      = await createTextKit(pdf, [label]);
+  const logoImg   = await embedLogo(pdf, await ensureLogo(brand));
 
-  const barColor  = rgb(0.96, 0.96, 0.96);
-  const textColor = rgb(0.20, 0.20, 0.20);
+  const barColor  = pdfColor(brand.colors.footerBar);
+  const textColor = pdfColor(brand.colors.footerText);
 
   pdf.getPages().forEach((page, i) => {
     const _box = getVisibleBox(page); const _rot = page.getRotation().angle;
     console.log(`  [stamp] page ${i} rot=${_rot} box={x:${_box.x.toFixed(1)},y:${_box.y.toFixed(1)},w:${_box.width.toFixed(1)},h:${_box.height.toFixed(1)}}`);
-    stampFooterOnPage(page, font, fontBold, logoImg,
+    stampFooterOnPage(page, text, logoImg,
       String(startPageNum + i), label, barColor, textColor);
   });
 
@@ -259,49 +308,118 @@ async function stampPageNumbers(pdfBytes, startPageNum, label = null) {
 }
 
 // ── Heading stamp — bold text only, NO white strip ────────────
-async function stampHeading(pdfBytes, label) {
-  if (!label?.trim()) return pdfBytes;
+// label: a string for the first page, or an array with one per page
+async function stampHeading(pdfBytes, label, brand = resolveBranding()) {
+  const labels = Array.isArray(label) ? label : [label];
+  if (!labels.some(l => l?.trim())) return pdfBytes;
   try {
     const pdf  = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
-    const page = pdf.getPages()[0];
-    const font = await pdf.embedFont(StandardFonts.HelveticaBold);
-
-    const box    = getVisibleBox(page);
-    const bx     = box.x, by = box.y;
-    const width  = box.width, height = box.height;
-
-    const shortSide = Math.min(width, height);
-    const fontSize  = Math.round(shortSide * 0.019 * 10) / 10;
-    const topMargin = fontSize * 1.5;
-
-    const textW = font.widthOfTextAtSize(label, fontSize);
-    page.drawText(label, {
-      x:    bx + (width - textW) / 2,
-      y:    by + height - topMargin - fontSize,
-      size: fontSize, font,
-      color: rgb(0.10, 0.10, 0.10),
+    const text = await createTextKit(pdf, labels);
+
+    pdf.getPages().forEach((page, i) => {
+      const heading = labels[i];
+      if (!heading?.trim()) return;
+
+      const box    = getVisibleBox(page);
+      const bx     = box.x, by = box.y;
+      const width  = box.width, height = box.height;
+
+      const shortSide = Math.min(width, height);
+      const fontSize  = Math.round(shortSide * 0.019 * 10) / 10;
+      const topMargin = fontSize * 1.5;
+
+      const textW = text.width(heading, fontSize, true);
+      text.draw(page, heading, {
+        x:    bx + (width - textW) / 2,
+        y:    by + height - topMargin - fontSize,
+        size: fontSize, bold: true,
+        color: pdfColor(brand.colors.dark),
+      });
     });
 
     return Buffer.from(await pdf.save());
   } catch(e) { return pdfBytes; }
 }
 
-// ── Prepare drawing page: stamp heading + footer, return single-page PDF ──
-async function prepareDrawingPage(drawingUrl, pageNum) {
-  console.log(`  Fetching drawing PDF: ${String(drawingUrl).substring(0, 70)}...`);
-  const rawBytes  = await fetchPDF(drawingUrl);
+// ── Balloons — dimensional row numbers on the drawing ────────
+// Positions are given on the page as the viewer shows it. The viewer turns
+// the raw page clockwise by /Rotate, so the point is mapped back onto the raw
+// page and the number is drawn rotated by the same angle as the footer text.
+//
+// Displayed top-left corner → raw corner:
+//   0°   → (left, top)      90°  → (left, bottom)
+//   180° → (right, bottom)  270° → (right, top)
+
+// Same palette as the report's status cells (generateQIR.statusColor)
+const BALLOON_FILLS = { pass: '#C8F5C8', fail: '#FADBD8', doubt: '#FDEBD0' };
+
+/** Raw coordinates of a point given as fractions (0–1) of the displayed page, from its top left. */
+function displayedToRaw(box, rotation, fx, fy) {
+  const { x: bx, y: by, width: W, height: H } = box;
+  switch (rotation) {
+    case 90:  return { x: bx + fy * W,       y: by + fx * H };
+    case 180: return { x: bx + (1 - fx) * W, y: by + fy * H };
+    case 270: return { x: bx + (1 - fy) * W, y: by + (1 - fx) * H };
+    default:  return { x: bx + fx * W,       y: by + (1 - fy) * H };
+  }
+}
 
-  const srcPdf    = await PDFDocument.load(rawBytes, { ignoreEncryption: true });
-  const singleDoc = await PDFDocument.create();
-  const [page1]   = await singleDoc.copyPages(srcPdf, [0]);
-  singleDoc.addPage(page1);
-  let drawingBytes = Buffer.from(await singleDoc.save());
+/**
+ * Draw numbered balloons on a drawing.
+ * @param {Buffer} pdfBytes
+ * @param {Array<{ number, status, x, y, page }>} balloons — page is 1-based
+ */
+async function stampBalloons(pdfBytes, balloons, brand = resolveBranding()) {
+  if (!balloons.length) return pdfBytes;
+  const pdf   = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+  const font  = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const pages = pdf.getPages();
+  const dark  = pdfColor(brand.colors.dark);
+
+  for (const b of balloons) {
+    const page = pages[b.page - 1];
+    if (!page) {
+      console.warn(`  ⚠ Balloon ${b.number}: drawing has no page ${b.page} — skipped`);
+      continue;
+    }
+    const box      = getVisibleBox(page);
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const radius   = Math.min(box.width, box.height) * 0.014;
+    const centre   = displayedToRaw(box, rotation, b.x, b.y);
+    const fill     = BALLOON_FILLS[String(b.status || '').trim().toLowerCase()];
+
+    page.drawCircle({
+      x: centre.x, y: centre.y, size: radius,
+      color: fill ? pdfColor(fill) : rgb(1, 1, 1),
+      borderColor: dark, borderWidth: radius * 0.12,
+    });
 
-  drawingBytes = await stampHeading(drawingBytes, 'Part Drawing');
-  drawingBytes = await stampPageNumbers(drawingBytes, pageNum);
+    // Text start so the number is centred on the balloon, turned with the page
+    const label    = String(b.number);
+    const fontSize = radius * (label.length > 2 ? 0.8 : 1.1);
+    const dx  = -font.widthOfTextAtSize(label, fontSize) / 2;
+    const dy  = -fontSize * 0.36;   // half the cap height
+    const rad = rotation * Math.PI / 180;
+    page.drawText(label, {
+      x: centre.x + dx * Math.cos(rad) - dy * Math.sin(rad),
+      y: centre.y + dx * Math.sin(rad) + dy * Math.cos(rad),
+      size: fontSize, font, color: dark,
+      rotate: degrees(rotation),
+    });
+  }
 
-  console.log(`  Drawing page prepared (final p.${pageNum})`);
-  return drawingBytes;
+  return Buffer.from(await pdf.save());
+}
+
+// ── Prepare a drawing: balloons, "<title> (n/m)" heading + footer on every page ──
+async function prepareDrawing(drawingBytes, startPageNum, title, brand = resolveBranding(), balloons = []) {
+  const pageCount = (await PDFDocument.load(drawingBytes, { ignoreEncryption: true })).getPageCount();
+  const headings  = Array.from({ length: pageCount }, (_, i) => `${title} (${i + 1}/${pageCount})`);
+
+  let bytes = await stampBalloons(drawingBytes, balloons, brand);
+  bytes     = await stampHeading(bytes, headings, brand);
+  bytes     = await stampPageNumbers(bytes, startPageNum, null, brand);
+  return { bytes, pageCount };
 }
 
 // ── Fit external page to A4 landscape ────────────────────────
@@ -311,7 +429,7 @@ async function prepareDrawingPage(drawingUrl, pageNum) {
 //   - If both dimensions within target   → no scaling, just centre
 //   - In both cases: set page to target size, white background, content centred
 //   - Never scales up (scale capped at 1.0)
-// NOTE: kept for future use — not currently called
+// Used for PDF certificates when the report asks for it (meta.fitCertsToA4)
 const TARGET_W = 841.89;
 const TARGET_H = 595.28;
 
@@ -337,100 +455,268 @@ async function fitPageToA4Landscape(pdfBytes) {
   return Buffer.from(await outPdf.save());
 }
 
-// ── Index page ────────────────────────────────────────────────
-async function buildIndexPage({ qirPageCount, hasDrawing, certEntries }) {
+// ── Image certificate → A4 page ──────────────────────────────
+// Portrait or landscape to match the upright image, scaled to fit inside the
+// margin (clear of the footer bar stamped later). The EXIF orientation is
+// applied here when imageProcessing.js couldn't rotate the pixels.
+const A4_SHORT = 595.28, A4_LONG = 841.89;
+const IMAGE_MARGIN = 28;   // pt
+
+// Upright box coords (U, V) from stored-image coords (u, v), both 0–1 from the
+// bottom left, per EXIF orientation: [Uu, Uv, U0, Vu, Vv, V0]
+//   U = Uu·u + Uv·v + U0,   V = Vu·u + Vv·v + V0
+const EXIF_UNIT = {
+  1: [ 1,  0, 0,   0,  1, 0],
+  2: [-1,  0, 1,   0,  1, 0],
+  3: [-1,  0, 1,   0, -1, 1],
+  4: [ 1,  0, 0,   0, -1, 1],
+  5: [ 0, -1, 1,  -1,  0, 1],
+  6: [ 0,  1, 0,  -1,  0, 1],
+  7: [ 0,  1, 0,   1,  0, 0],
+  8: [ 0, -1, 1,   1,  0, 0],
+};
+
+/**
+ * One-page PDF for a PNG / JPEG certificate.
+ * @param {Buffer} bytes
+ * @param {'png'|'jpeg'} type — from detectFileType
+ * @returns {Promise<Buffer>}
+ */
+async function imageToPdf(bytes, type) {
+  const longMm = A4_LONG / 72 * 25.4;
+  const norm   = await normalizeImage(bytes, `image/${type}`, { widthMm: longMm, heightMm: longMm });
+
+  const pdf = await PDFDocument.create();
+  const img = /png/.test(norm.contentType) ? await pdf.embedPng(norm.buffer) : await pdf.embedJpg(norm.buffer);
+  const orientation = norm.processed ? 1 : norm.orientation;
+  const swap = orientation >= 5;
+  const upW  = swap ? img.height : img.width;
+  const upH  = swap ? img.width  : img.height;
+
+  const [W, H] = upW > upH ? [A4_LONG, A4_SHORT] : [A4_SHORT, A4_LONG];
+  const scale  = Math.min((W - 2 * IMAGE_MARGIN) / upW, (H - 2 * IMAGE_MARGIN) / upH);
+  const dw = upW * scale, dh = upH * scale;
+  const x  = (W - dw) / 2, y = (H - dh) / 2;
+
+  const page = pdf.addPage([W, H]);
+  page.drawRectangle({ x: 0, y: 0, width: W, height: H, color: rgb(1, 1, 1) });
+  const [Uu, Uv, U0, Vu, Vv, V0] = EXIF_UNIT[orientation] || EXIF_UNIT[1];
+  const name = page.node.newXObject('Image', img.ref);
+  page.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(Uu * dw, Vu * dh, Uv * dw, Vv * dh, x + U0 * dw, y + V0 * dh),
+    drawObject(name),
+    popGraphicsState(),
+  );
+  return Buffer.from(await pdf.save());
+}
+
+// ── Navigation — index links and bookmarks ───────────────────
+// Both point at pages of the merged document, so they're added after merging.
+// Targets are 1-based final page numbers; ones past the end are skipped.
+
+/** Destination array that shows a whole page. */
+function pageDest(pdf, pageNum) {
+  const page = pdf.getPages()[pageNum - 1];
+  return page ? pdf.context.obj([page.ref, 'Fit']) : null;
+}
+
+/**
+ * Link annotations on one page.
+ * @param {PDFPage} page
+ * @param {Array<{ rect: number[], page: number }>} links — rect: [x1, y1, x2, y2]
+ */
+function addPageLinks(pdf, page, links) {
+  for (const link of links) {
+    const dest = pageDest(pdf, link.page);
+    if (!dest) continue;
+    const annot = pdf.context.obj({ Type: 'Annot', Subtype: 'Link', Rect: link.rect, Border: [0, 0, 0], Dest: dest });
+    page.node.addAnnot(pdf.context.register(annot));
+  }
+}
+
+/**
+ * Flat document outline, opened with the bookmarks panel showing.
+ * @param {Array<{ title: string, page: number }>} entries — in page order
+ */
+function addOutline(pdf, entries) {
+  const ctx   = pdf.context;
+  const items = entries.map(e => ({ ...e, dest: pageDest(pdf, e.page) })).filter(e => e.dest);
+  if (!items.length) return;
+
+  const rootRef = ctx.nextRef();
+  const refs    = items.map(() => ctx.nextRef());
+  items.forEach((e, i) => {
+    const item = ctx.obj({ Title: PDFHexString.fromText(e.title), Parent: rootRef, Dest: e.dest });
+    if (i > 0)                item.set(PDFName.of('Prev'), refs[i - 1]);
+    if (i < refs.length - 1)  item.set(PDFName.of('Next'), refs[i + 1]);
+    ctx.assign(refs[i], item);
+  });
+  ctx.assign(rootRef, ctx.obj({ Type: 'Outlines', First: refs[0], Last: refs[refs.length - 1], Count: refs.length }));
+  pdf.catalog.set(PDFName.of('Outlines'), rootRef);
+  pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+// ── Index pages ───────────────────────────────────────────────
+// The index flows onto as many A4-landscape pages as its rows need, each with
+// the title and header row repeated; every later part shifts by the extra pages.
+const INDEX_W = 841.89, INDEX_H = 595.28;
+const INDEX_ROW_H   = 24;
+const INDEX_TOP     = 72;    // pt from the top edge to the table
+const INDEX_BOTTOM  = 40;    // pt kept clear above the bottom edge (footer bar)
+const INDEX_ROWS_PER_PAGE = Math.floor((INDEX_H - INDEX_TOP - INDEX_BOTTOM) / INDEX_ROW_H) - 1;   // minus header row
+
+/** Number of index pages for a row list. */
+function indexPageCount(rows) {
+  return Math.max(1, Math.ceil(rows.length / INDEX_ROWS_PER_PAGE));
+}
+
+/** Row label of a document that didn't make it into the report. */
+function notAvailable(label, reason) {
+  const why = String(reason || 'unknown error');
+  return `${label} — Not available: ${why.length > 100 ? why.substring(0, 99) + '…' : why}`;
+}
+
+/** Row label of an attachment that is neither a PDF nor an image. */
+function unsupportedRow(label, fileType) {
+  return `${label} — Unsupported attachment (${fileType})`;
+}
+
+/**
+ * Index rows in order. Only the count depends on the flags, so the rows can be
+ * listed once to size the index and again with the final page numbers.
+ * @param {object} opts
+ * @param {Array}  opts.drawings — in order, each { label, startPage }, { label, reason } when it
+ *                                 failed, or { label, unsupported: fileType }
+ * @param {Array}  opts.certs    — likewise
+ * @returns {Array<{ label: string, page: number|string, sub: boolean }>}
+ */
+function indexRows({ drawings = [], hasDim, hasVis, sectionPages = {}, certs = [],
+                     changeSummary = null, inspectionPage = '', certStart = '' }) {
+  const rows = [];
+  const row  = (label, page, sub = false) => rows.push({ label, page, sub });
+  const doc  = (d, sub) => d.reason      ? row(notAvailable(d.label, d.reason), '—', sub)
+                         : d.unsupported ? row(unsupportedRow(d.label, d.unsupported), '—', sub)
+                         : row(d.label, d.startPage ?? '', sub);
+
+  row('Part Information', 1);
+  row('Content Table', 2);
+  if (changeSummary) row('Change Summary', changeSummary.startPage ?? '');
+  if (drawings.length === 1) doc(drawings[0], false);
+  if (drawings.length > 1) {
+    const first = drawings.find(d => d.startPage);
+    row('Part Drawings', first ? first.startPage ?? '' : '—');
+    for (const d of drawings) doc(d, true);
+  }
+
+  if (hasDim || hasVis) {
+    row('Inspection', inspectionPage);
+    if (hasDim) row('Dimensional Inspection', sectionPages.dimensional || '', true);
+    if (hasVis) row('Visual Inspection',      sectionPages.visual      || '', true);
+  }
+  if (sectionPages.photos) row('Photo Appendix', sectionPages.photos);
+
+  row('Tests & Certificates', certStart);
+  for (const c of certs) doc(c, true);
+  return rows;
+}
+
+// Returns { bytes, links } — links: row rectangles → final page numbers, with
+// the index page (0-based) each one is on
+async function buildIndexPage({ rows, brand = resolveBranding() }) {
   const doc = await PDFDocument.create();
-  const W = 841.89, H = 595.28;
-  const page = doc.addPage([W, H]);
+  const W = INDEX_W, H = INDEX_H;
 
-  const fontBold   = await doc.embedFont(StandardFonts.HelveticaBold);
-  const fontNormal = await doc.embedFont(StandardFonts.Helvetica);
+  // Cert labels and footer text may be any UTF-8 — see unicodeFonts.js
+  const text       = await createTextKit(doc, [brand.footerText, ...rows.map(r => r.label)]);
+  const fontBold   = text.fontBold;
+  const fontNormal = text.font;
 
-  const BLACK  = rgb(0.10, 0.10, 0.10);
+  const BLACK  = pdfColor(brand.colors.dark);
   const DGRAY  = rgb(0.30, 0.30, 0.30);
   const MGRAY  = rgb(0.55, 0.55, 0.55);
   const LGRAY  = rgb(0.82, 0.82, 0.82);
   const OFFWHT = rgb(0.95, 0.95, 0.95);
-  const HDRBG  = rgb(0.88, 0.88, 0.88);
-
-  page.drawRectangle({ x: 0, y: 0, width: W, height: H, color: rgb(1, 1, 1) });
+  const HDRBG  = pdfColor(brand.colors.indexHeader);
 
   const shortSide    = Math.min(W, H);
   const PG_FONT_SIZE = Math.round(shortSide * 0.014 * 10) / 10;
   const PG_BAR_H     = PG_FONT_SIZE * 2;
 
-  page.drawRectangle({ x: 0, y: 0, width: W, height: PG_BAR_H, color: rgb(0.96, 0.96, 0.96), opacity: 1.0 });
-
-  const logoBytes = await ensureLogo();
+  const logoImg   = await embedLogo(doc, await ensureLogo(brand));
   const LOGO_H    = PG_BAR_H * 0.72;
   const LOGO_PAD  = PG_BAR_H * 0.14;
-  if (logoBytes) {
-    try {
-      const logoImg  = await doc.embedPng(logoBytes);
-      const logoDims = logoImg.scale(1);
-      const scale    = LOGO_H / logoDims.height;
-      const lw       = logoDims.width * scale;
-      page.drawImage(logoImg, { x: LOGO_PAD, y: LOGO_PAD, width: lw, height: LOGO_H });
-    } catch(e) {}
-  }
 
-  const p2Str = '2';
-  const p2W   = fontNormal.widthOfTextAtSize(p2Str, PG_FONT_SIZE);
-  page.drawText(p2Str, {
-    x: W - PG_BAR_H * 0.8 - p2W, y: PG_BAR_H * 0.25,
-    size: PG_FONT_SIZE, font: fontNormal, color: rgb(0.20, 0.20, 0.20),
-  });
+  const TBL_X = 40, TBL_W = W - 80, PAD = 10, ROW_H = INDEX_ROW_H;
+  const pageCount = indexPageCount(rows);
+  const links = [];
 
-  const tocLabel = 'Table of Content';
-  const tocW = fontBold.widthOfTextAtSize(tocLabel, 11);
-  page.drawText(tocLabel, { x: W / 2 - tocW / 2, y: H - 52, size: 11, font: fontBold, color: BLACK });
-
-  const TBL_X = 40, TBL_W = W - 80, PAD = 10, ROW_H = 24;
-  let rowY = H - 72;
-  const tableTopY = rowY;
-
-  function drawRow(label, pageNum, isSub = false, isHeader = false) {
-    const bg = isHeader ? HDRBG : (isSub ? rgb(1, 1, 1) : OFFWHT);
-    page.drawRectangle({ x: TBL_X, y: rowY - ROW_H, width: TBL_W, height: ROW_H, color: bg });
-    page.drawLine({ start: { x: TBL_X, y: rowY - ROW_H }, end: { x: TBL_X + TBL_W, y: rowY - ROW_H },
-      thickness: 0.3, color: LGRAY });
-    const indent   = isSub ? 18 : 0;
-    const fontSize = isHeader ? 8.5 : 8;
-    const font     = isHeader ? fontBold : fontNormal;
-    const color    = isHeader ? BLACK : isSub ? MGRAY : DGRAY;
-    const textY    = rowY - ROW_H + (ROW_H - fontSize) / 2 + 1;
-    page.drawText(String(label), { x: TBL_X + PAD + indent, y: textY, size: fontSize, font, color });
-    const pgStr = String(pageNum);
-    const pgW   = (isHeader ? fontBold : fontNormal).widthOfTextAtSize(pgStr, fontSize);
-    page.drawText(pgStr, { x: TBL_X + TBL_W - PAD - pgW, y: textY, size: fontSize,
-      font: isHeader ? fontBold : fontNormal, color: isHeader ? BLACK : DGRAY });
-    rowY -= ROW_H;
-  }
+  for (let p = 0; p < pageCount; p++) {
+    const page = doc.addPage([W, H]);
+    page.drawRectangle({ x: 0, y: 0, width: W, height: H, color: rgb(1, 1, 1) });
+    page.drawRectangle({ x: 0, y: 0, width: W, height: PG_BAR_H, color: pdfColor(brand.colors.footerBar), opacity: 1.0 });
 
-  page.drawLine({ start: { x: TBL_X, y: tableTopY }, end: { x: TBL_X + TBL_W, y: tableTopY }, thickness: 0.6, color: DGRAY });
+    if (logoImg) {
+      try {
+        const logoDims = logoImg.scale(1);
+        const scale    = LOGO_H / logoDims.height;
+        const lw       = logoDims.width * scale;
+        page.drawImage(logoImg, { x: LOGO_PAD, y: LOGO_PAD, width: lw, height: LOGO_H });
+      } catch(e) {}
+    }
 
-  drawRow('Section', 'Page', false, true);
-  drawRow('Part Information', 1);
-  drawRow('Content Table', 2);
+    const pgStr = String(2 + p);
+    const pgW   = fontNormal.widthOfTextAtSize(pgStr, PG_FONT_SIZE);
+    page.drawText(pgStr, {
+      x: W - PG_BAR_H * 0.8 - pgW, y: PG_BAR_H * 0.25,
+      size: PG_FONT_SIZE, font: fontNormal, color: pdfColor(brand.colors.footerText),
+    });
+    if (brand.footerText) {
+      const ftW = text.width(brand.footerText, PG_FONT_SIZE, true);
+      text.draw(page, brand.footerText, {
+        x: W / 2 - ftW / 2, y: PG_BAR_H * 0.25,
+        size: PG_FONT_SIZE, bold: true, color: pdfColor(brand.colors.footerText),
+      });
+    }
 
-  let nextQirPage = hasDrawing ? 4 : 3;
-  if (hasDrawing) drawRow('Part Drawing', 3);
+    const tocLabel = p === 0 ? 'Table of Content' : 'Table of Content (continued)';
+    const tocW = fontBold.widthOfTextAtSize(tocLabel, 11);
+    page.drawText(tocLabel, { x: W / 2 - tocW / 2, y: H - 52, size: 11, font: fontBold, color: BLACK });
+
+    let rowY = H - INDEX_TOP;
+    const tableTopY = rowY;
+
+    function drawRow(label, pageNum, isSub = false, isHeader = false) {
+      const bg = isHeader ? HDRBG : (isSub ? rgb(1, 1, 1) : OFFWHT);
+      page.drawRectangle({ x: TBL_X, y: rowY - ROW_H, width: TBL_W, height: ROW_H, color: bg });
+      page.drawLine({ start: { x: TBL_X, y: rowY - ROW_H }, end: { x: TBL_X + TBL_W, y: rowY - ROW_H },
+        thickness: 0.3, color: LGRAY });
+      const indent   = isSub ? 18 : 0;
+      const fontSize = isHeader ? 8.5 : 8;
+      const color    = isHeader ? BLACK : isSub ? MGRAY : DGRAY;
+      const textY    = rowY - ROW_H + (ROW_H - fontSize) / 2 + 1;
+      text.draw(page, String(label), { x: TBL_X + PAD + indent, y: textY, size: fontSize, bold: isHeader, color });
+      const pgStr = String(pageNum);
+      const pgW   = (isHeader ? fontBold : fontNormal).widthOfTextAtSize(pgStr, fontSize);
+      page.drawText(pgStr, { x: TBL_X + TBL_W - PAD - pgW, y: textY, size: fontSize,
+        font: isHeader ? fontBold : fontNormal, color: isHeader ? BLACK : DGRAY });
+      if (!isHeader && Number.isInteger(pageNum)) {
+        links.push({ index: p, rect: [TBL_X, rowY - ROW_H, TBL_X + TBL_W, rowY], page: pageNum });
+      }
+      rowY -= ROW_H;
+    }
 
-  if (certEntries._hasDim || certEntries._hasVis) {
-    drawRow('Inspection', nextQirPage);
-    if (certEntries._hasDim) drawRow('Dimensional Inspection', '', true);
-    if (certEntries._hasVis) drawRow('Visual Inspection',      '', true);
-  }
+    page.drawLine({ start: { x: TBL_X, y: tableTopY }, end: { x: TBL_X + TBL_W, y: tableTopY }, thickness: 0.6, color: DGRAY });
 
-  const certStart = qirPageCount + 1 + (hasDrawing ? 1 : 0) + 1;
-  drawRow('Tests & Certificates', certEntries.length > 0 ? certStart : '—');
-  for (const c of certEntries) drawRow(c.label, c.startPage, true);
+    drawRow('Section', 'Page', false, true);
+    for (const r of rows.slice(p * INDEX_ROWS_PER_PAGE, (p + 1) * INDEX_ROWS_PER_PAGE)) drawRow(r.label, r.page, r.sub);
 
-  page.drawLine({ start: { x: TBL_X, y: rowY }, end: { x: TBL_X + TBL_W, y: rowY }, thickness: 0.6, color: DGRAY });
-  page.drawLine({ start: { x: TBL_X, y: tableTopY }, end: { x: TBL_X, y: rowY }, thickness: 0.6, color: DGRAY });
-  page.drawLine({ start: { x: TBL_X + TBL_W, y: tableTopY }, end: { x: TBL_X + TBL_W, y: rowY }, thickness: 0.6, color: DGRAY });
+    page.drawLine({ start: { x: TBL_X, y: rowY }, end: { x: TBL_X + TBL_W, y: rowY }, thickness: 0.6, color: DGRAY });
+    page.drawLine({ start: { x: TBL_X, y: tableTopY }, end: { x: TBL_X, y: rowY }, thickness: 0.6, color: DGRAY });
+    page.drawLine({ start: { x: TBL_X + TBL_W, y: tableTopY }, end: { x: TBL_X + TBL_W, y: rowY }, thickness: 0.6, color: DGRAY });
+  }
 
-  return Buffer.from(await doc.save());
+  return { bytes: Buffer.from(await doc.save()), links };
 }
 
 // ── Watermark stamp ───────────────────────────────────────────
@@ -466,91 +752,199 @@ async function stampWatermark(pdfBytes) {
   return Buffer.from(await pdf.save());
 }
 
-// async function stampWatermark(pdfBytes) {
-//   const pdf  = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
-//   const font = await pdf.embedFont(StandardFonts.HelveticaBold);
-
-//   pdf.getPages().forEach(page => {
-//     const box      = getVisibleBox(page);
-//     const cx       = box.x + box.width  / 2;
-//     const cy       = box.y + box.height / 2;
-//     const fontSize = Math.min(box.width, box.height) * 0.15;
-//     const textW    = font.widthOfTextAtSize('UNVERIFIED', fontSize);
-
-//     page.drawText('UNVERIFIED', {
-//       x:       cx - textW / 2,
-//       y:       cy - fontSize / 2,
-//       size:    fontSize,
-//       font,
-//       color:   rgb(0.75, 0.75, 0.75),
-//       opacity: 0.15,
-//       rotate:  degrees(45),
-//     });
-//   });
-
-//   return Buffer.from(await pdf.save());
-// }
+// ── Fetch drawings + certificates ────────────────────────────
 
-// ── Main ──────────────────────────────────────────────────────
-async function buildMergedPDF(qirBuffer, certs = [], meta = {}) {
-  await ensureLogo();
+/**
+ * Fetch one document and turn it into PDF bytes — PDFs as they are, PNG / JPEG
+ * images as an A4 page (imageToPdf). Throws when the fetch or load fails.
+ * @returns {Promise<{ bytes, pageCount, fileType } | { unsupported: true, fileType }>}
+ */
+async function loadAttachment(url) {
+  const { buffer, contentType } = await fetchFile(url);
+  const fileType = detectFileType(buffer);
+  if (fileType === 'pdf') {
+    const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true });
+    return { bytes: buffer, pageCount: pdf.getPageCount(), fileType };
+  }
+  if (fileType === 'png' || fileType === 'jpeg') {
+    return { bytes: await imageToPdf(buffer, fileType), pageCount: 1, fileType };
+  }
+  return { unsupported: true, fileType: describeFileType(url, contentType) };
+}
 
-  const qirPdf       = await PDFDocument.load(qirBuffer, { ignoreEncryption: true });
-  const qirPageCount = qirPdf.getPageCount();
-  const hasDrawing   = !!meta.partDrawingUrl;
-  console.log(`  QIR pages: ${qirPageCount}, hasDrawing: ${hasDrawing}`);
+/**
+ * allSettled result of loadAttachment → { ok, bytes, pageCount, fileType, unsupported, error }.
+ * An unsupported file is not ok but has no error — it was fetched, just can't be placed.
+ */
+function attachmentResult(r, kind, label) {
+  if (r.status === 'fulfilled' && r.value.unsupported) {
+    console.warn(`  ⚠ ${kind} "${label}" is not a PDF or image (${r.value.fileType}) — listed as unsupported`);
+    return { ok: false, bytes: null, pageCount: 0, ...r.value, error: null };
+  }
+  if (r.status === 'fulfilled') return { ok: true, unsupported: false, ...r.value, error: null };
+  console.error(`  ${kind} fetch failed: ${r.reason?.message}`);
+  return { ok: false, bytes: null, pageCount: 0, fileType: null, unsupported: false, error: r.reason?.message || 'unknown error' };
+}
 
-  const [drawingResult, ...certResults] = await Promise.allSettled([
-    hasDrawing ? fetchPDF(meta.partDrawingUrl) : Promise.resolve(null),
-    ...certs.filter(c => c && c.url && c.url.trim()).map(async (cert) => {
+/** Title of a drawing — "Part Drawing", "Part Drawing — <label>" or "Part Drawing <n>". */
+function drawingTitle(label, i, count) {
+  if (label && String(label).trim()) return `Part Drawing — ${String(label).trim()}`;
+  return count > 1 ? `Part Drawing ${i + 1}` : 'Part Drawing';
+}
+
+/**
+ * Fetch and load-check every drawing and certificate in parallel.
+ * Never throws — each item carries ok/error. Exported so the pipeline can
+ * learn about missing documents before page 1 is drawn, then hand the result
+ * to buildMergedPDF as meta.attachments instead of fetching twice.
+ * Drawings and certificates may be PDFs (every page is used) or PNG / JPEG
+ * images (turned into an A4 page, see imageToPdf); anything else comes back
+ * with unsupported: true.
+ * @param {Array}        certs    — [{ label, url }]
+ * @param {Array|string} drawings — [{ url, label }] in order, or a single URL (optional)
+ * @returns {Promise<{ drawings: object[], certs: object[] }>}
+ *   drawings: [{ label, url, ok, bytes, pageCount, fileType, unsupported, error }]
+ *             label — full title from drawingTitle()
+ *   certs:    [{ label, url, ok, bytes, pageCount, fileType, unsupported, error }]
+ *             fileType — 'pdf' | 'png' | 'jpeg', else e.g. '.docx'
+ */
+async function fetchAttachments(certs = [], drawings = []) {
+  if (typeof drawings === 'string') drawings = [{ url: drawings }];
+  const drawingList = (drawings || []).filter(d => d && d.url && d.url.trim());
+  const certList    = certs.filter(c => c && c.url && c.url.trim());
+
+  const [drawingResults, certResults] = await Promise.all([
+    Promise.allSettled(drawingList.map(d => {
+      console.log(`    Fetching drawing: ${String(d.url).substring(0, 60)}...`);
+      return loadAttachment(d.url);
+    })),
+    Promise.allSettled(certList.map(cert => {
       console.log(`    Fetching cert: ${cert.label} — ${String(cert.url).substring(0, 60)}...`);
-      const bytes = await fetchPDF(cert.url);
-      const pdf   = await PDFDocument.load(bytes, { ignoreEncryption: true });
-      return { label: cert.label || 'Certificate', bytes, pageCount: pdf.getPageCount() };
-    }),
+      return loadAttachment(cert.url);
+    })),
   ]);
 
-  let drawingRawBytes = null;
-  if (hasDrawing) {
-    if (drawingResult.status === 'fulfilled' && drawingResult.value) {
-      drawingRawBytes = drawingResult.value;
-    } else {
-      console.error(`  Drawing fetch failed: ${drawingResult.reason?.message}`);
-    }
-  }
+  const drawingData = drawingResults.map((r, i) => {
+    const base = { label: drawingTitle(drawingList[i].label, i, drawingList.length), url: drawingList[i].url };
+    return { ...base, ...attachmentResult(r, 'Drawing', base.label) };
+  });
+
+  const certData = certResults.map((r, i) => {
+    const base = { label: certList[i].label || 'Certificate', url: certList[i].url };
+    return { ...base, ...attachmentResult(r, 'Cert', base.label) };
+  });
+
+  return { drawings: drawingData, certs: certData };
+}
+
+// ── Main ──────────────────────────────────────────────────────
+async function buildMergedPDF(qirBuffer, certs = [], meta = {}) {
+  const brand = meta.branding || resolveBranding();
 
-  const certData = [];
-  for (const r of certResults) {
-    if (r.status === 'fulfilled') certData.push(r.value);
-    else console.error(`  Cert fetch failed: ${r.reason?.message}`);
+  const qirPdf       = await PDFDocument.load(qirBuffer, { ignoreEncryption: true });
+  const qirPageCount = qirPdf.getPageCount();
+  console.log(`  QIR pages: ${qirPageCount}`);
+
+  // Fetch now unless the caller already did (see fetchAttachments).
+  // meta.partDrawingUrl — a single drawing, from callers before meta.drawings
+  const attachments = meta.attachments
+    || await fetchAttachments(certs, meta.drawings || meta.partDrawingUrl || []);
+
+  const certFetchResults = attachments.certs.map(({ bytes, ...result }) => result);
+
+  // Index rows don't depend on page numbers — size the index first.
+  // A drawing or cert that fails keeps its row, so this count holds either way.
+  const rowFlags = {
+    drawings:     attachments.drawings,
+    hasDim:       meta.hasDim || false,
+    hasVis:       meta.hasVis || false,
+    sectionPages: Object.fromEntries((meta.sections || []).map(sec => [sec.key, sec.page])),
+    certs:        attachments.certs,
+    changeSummary: meta.changeSummary ? {} : null,
+  };
+  const indexPages   = indexPageCount(indexRows(rowFlags));
+
+  // Change Summary — straight after the index, footer stamped like a cert
+  let changeSummary = null;
+  if (meta.changeSummary) {
+    const startPage = 2 + indexPages;
+    const bytes     = await stampPageNumbers(meta.changeSummary, startPage, 'Change Summary', brand);
+    const pageCount = (await PDFDocument.load(bytes)).getPageCount();
+    changeSummary   = { startPage, pageCount, bytes };
+    console.log(`  Change Summary p.${startPage}–${startPage + pageCount - 1}`);
   }
+  const summaryPages = changeSummary ? changeSummary.pageCount : 0;
+  const drawingStart = 2 + indexPages + summaryPages;
+
+  // Drawings — every page, stamped "<title> (n/m)"; failed ones get a reason
+  let runningPage = drawingStart;
+  const drawingRows = [];
+  for (const [k, d] of attachments.drawings.entries()) {
+    if (d.unsupported) { drawingRows.push({ label: d.label, url: d.url, unsupported: d.fileType }); continue; }
+    if (!d.ok) { drawingRows.push({ label: d.label, url: d.url, reason: d.error }); continue; }
+    try {
+      const balloons = (meta.balloons || []).filter(b => (b.drawing || 1) === k + 1);
+      const { bytes, pageCount } = await prepareDrawing(d.bytes, runningPage, d.label, brand, balloons);
+      drawingRows.push({ label: d.label, url: d.url, startPage: runningPage, pageCount, bytes });
+      console.log(`  "${d.label}" stamped as p.${runningPage}–${runningPage + pageCount - 1}`);
+      runningPage += pageCount;
+    } catch(e) {
+      console.error(`  Drawing preparation failed (${d.label}): ${e.message}`);
+      drawingRows.push({ label: d.label, url: d.url, reason: e.message });
+    }
+  }
+  const drawingEntries = drawingRows.filter(d => d.startPage);
+  const drawingPages   = runningPage - drawingStart;
 
-  const drawingPageNum  = 3;
-  const qirRemapOffset  = hasDrawing ? 3 : 2;
-  const certStartPage   = qirPageCount + 1 + (hasDrawing ? 1 : 0) + 1;
-  let   runningPage     = certStartPage;
+  const qirRemapOffset  = indexPages + 1 + summaryPages + drawingPages;
+  const certStartPage   = qirPageCount + indexPages + summaryPages + drawingPages + 1;
+  runningPage           = certStartPage;
 
-  const certEntries = certData.map(c => {
+  // Every cert in its original order — placed ones get a page, failed ones a reason
+  const certRows    = attachments.certs.map(c => {
+    if (c.unsupported) return { label: c.label, url: c.url, unsupported: c.fileType };
+    if (!c.ok) return { label: c.label, url: c.url, reason: c.error };
     const entry = { ...c, startPage: runningPage };
     runningPage += c.pageCount;
     return entry;
   });
-  certEntries._hasDrawing = hasDrawing;
-  certEntries._hasDim     = meta.hasDim  || false;
-  certEntries._hasVis     = meta.hasVis  || false;
+  const certEntries = certRows.filter(c => c.startPage);
+
+  // Documents left out of the report — returned, and listed in the index as "Not available"
+  const failures = [
+    ...drawingRows.filter(d => d.reason).map(d => ({ type: 'drawing', label: d.label, url: d.url, reason: d.reason })),
+    ...certRows.filter(c => c.reason).map(c => ({ type: 'certificate', label: c.label, url: c.url, reason: c.reason })),
+  ];
+  const unsupported = [
+    ...drawingRows.filter(d => d.unsupported).map(d => ({ type: 'drawing', label: d.label, url: d.url, fileType: d.unsupported })),
+    ...certRows.filter(c => c.unsupported).map(c => ({ type: 'certificate', label: c.label, url: c.url, fileType: c.unsupported })),
+  ];
 
-  console.log(`  Page layout: QIR(${qirPageCount}) + Index + ${hasDrawing ? 'Drawing + ' : ''}Certs → total ~${runningPage - 1}`);
+  console.log(`  Page layout: QIR(${qirPageCount}) + Index(${indexPages}) + ${summaryPages ? `Change Summary(${summaryPages}) + ` : ''}${drawingPages ? `Drawings(${drawingPages}) + ` : ''}Certs → total ~${runningPage - 1}`);
+  if (failures.length) console.warn(`  ⚠ ${failures.length} document(s) not available — listed in the index`);
+
+  // QIR sections (meta.sections from generateQIR) → final page numbers
+  const qirFinalPage = (p) => p === 1 ? 1 : p - 1 + qirRemapOffset;
+  const sectionPages = Object.fromEntries((meta.sections || []).map(sec => [sec.key, qirFinalPage(sec.page)]));
 
   console.log('  Building index page...');
-  const indexBytes = await buildIndexPage({ qirPageCount, hasDrawing, certEntries });
+  const index = await buildIndexPage({
+    rows: indexRows({
+      ...rowFlags, sectionPages, changeSummary,
+      drawings:       drawingRows,
+      certs:          certRows,
+      inspectionPage: qirFinalPage(2),
+      certStart:      certEntries.length > 0 ? certStartPage : '—',
+    }),
+    brand,
+  });
 
   const qirForStamp = await PDFDocument.load(qirBuffer, { ignoreEncryption: true });
-  const qirFont     = await qirForStamp.embedFont(StandardFonts.Helvetica);
-  const logoBytes   = logoPngBytes;
-  let   qirLogoImg  = null;
-  if (logoBytes) {
-    try { qirLogoImg = await qirForStamp.embedPng(logoBytes); } catch(e) {}
-  }
+  const qirText     = await createTextKit(qirForStamp, [brand.footerText]);
+  const qirFont     = qirText.font;
+  const qirLogoImg  = await embedLogo(qirForStamp, await ensureLogo(brand));
+  const barColor    = pdfColor(brand.colors.footerBar);
+  const barText     = pdfColor(brand.colors.footerText);
 
   qirForStamp.getPages().forEach((page, i) => {
     const finalNum  = i === 0 ? 1 : i + qirRemapOffset;
@@ -561,7 +955,7 @@ async function buildMergedPDF(qirBuffer, certs = [], meta = {}) {
     const fontSize  = Math.round(shortSide * 0.014 * 10) / 10;
     const barH      = fontSize * 2;
 
-    page.drawRectangle({ x: bx, y: by, width, height: barH, color: rgb(0.96, 0.96, 0.96), opacity: 1.0 });
+    page.drawRectangle({ x: bx, y: by, width, height: barH, color: barColor, opacity: 1.0 });
 
     if (qirLogoImg) {
       try {
@@ -580,32 +974,18 @@ async function buildMergedPDF(qirBuffer, certs = [], meta = {}) {
     page.drawText(pgStr, {
       x: bx + width - PAD_R - pgW,
       y: by + barH * 0.28,
-      size: fontSize, font: qirFont, color: rgb(0.20, 0.20, 0.20),
+      size: fontSize, font: qirFont, color: barText,
     });
-  });
-  const qirNumbered = Buffer.from(await qirForStamp.save());
 
-  let drawingStamped = null;
-  if (drawingRawBytes) {
-    try {
-      const srcPdf    = await PDFDocument.load(drawingRawBytes, { ignoreEncryption: true });
-      const singleDoc = await PDFDocument.create();
-      const [pg1]     = await singleDoc.copyPages(srcPdf, [0]);
-      singleDoc.addPage(pg1);
-      let drawBytes   = Buffer.from(await singleDoc.save());
-
-      // Fit to A4 landscape (scale down if needed, centre, white background)
-      // drawBytes = await fitPageToA4Landscape(drawBytes);
-
-      drawBytes = await stampHeading(drawBytes, 'Part Drawing');
-      drawBytes = await stampPageNumbers(drawBytes, drawingPageNum);
-
-      drawingStamped = drawBytes;
-      console.log(`  Drawing page stamped as p.${drawingPageNum}`);
-    } catch(e) {
-      console.error(`  Drawing page preparation failed: ${e.message}`);
+    if (brand.footerText) {
+      const ftW = qirText.width(brand.footerText, fontSize, true);
+      qirText.draw(page, brand.footerText, {
+        x: bx + width / 2 - ftW / 2, y: by + barH * 0.28,
+        size: fontSize, bold: true, color: barText,
+      });
     }
-  }
+  });
+  const qirNumbered = Buffer.from(await qirForStamp.save());
 
   console.log('  Merging...');
   const merged   = await PDFDocument.create();
@@ -614,37 +994,79 @@ async function buildMergedPDF(qirBuffer, certs = [], meta = {}) {
 
   merged.addPage(qirPages[0]);
 
-  const idxPdf    = await PDFDocument.load(indexBytes);
-  const [idxPage] = await merged.copyPages(idxPdf, [0]);
-  merged.addPage(idxPage);
+  const idxPdf    = await PDFDocument.load(index.bytes);
+  const idxPages  = await merged.copyPages(idxPdf, idxPdf.getPageIndices());
+  idxPages.forEach(p => merged.addPage(p));
 
-  if (drawingStamped) {
-    const drawPdf    = await PDFDocument.load(drawingStamped, { ignoreEncryption: true });
-    const [drawPage] = await merged.copyPages(drawPdf, [0]);
-    merged.addPage(drawPage);
+  if (changeSummary) {
+    const sumPdf = await PDFDocument.load(changeSummary.bytes);
+    const pgs    = await merged.copyPages(sumPdf, sumPdf.getPageIndices());
+    pgs.forEach(p => merged.addPage(p));
+  }
+
+  for (const d of drawingEntries) {
+    const drawPdf = await PDFDocument.load(d.bytes, { ignoreEncryption: true });
+    const pgs     = await merged.copyPages(drawPdf, drawPdf.getPageIndices());
+    pgs.forEach(p => merged.addPage(p));
   }
 
   for (let i = 1; i < qirPages.length; i++) merged.addPage(qirPages[i]);
 
   // Certs — rotation-aware footer on every page, no heading on first page
   for (const cert of certEntries) {
-    // To re-enable scaling, uncomment the next two lines (comment out the third):
-    // let bytes = await fitPageToA4Landscape(cert.bytes);
-    // bytes     = await stampPageNumbers(bytes, cert.startPage, cert.label);
-    let bytes = await stampPageNumbers(cert.bytes, cert.startPage, cert.label);
+    // meta.fitCertsToA4 — PDF certs scaled down / centred on A4 landscape pages
+    let bytes = meta.fitCertsToA4 && cert.fileType === 'pdf' ? await fitPageToA4Landscape(cert.bytes) : cert.bytes;
+    bytes     = await stampPageNumbers(bytes, cert.startPage, cert.label, brand);
     const cp  = await PDFDocument.load(bytes, { ignoreEncryption: true });
     const pgs = await merged.copyPages(cp, cp.getPageIndices());
     pgs.forEach(p => merged.addPage(p));
     console.log(`    "${cert.label}" p.${cert.startPage}–${cert.startPage + cert.pageCount - 1}`);
   }
-  
+
+  // Clickable index rows + bookmarks
+  for (let i = 0; i < indexPages; i++) {
+    addPageLinks(merged, merged.getPage(1 + i), index.links.filter(l => l.index === i));
+  }
+  addOutline(merged, [
+    { title: 'Part Information', page: 1 },
+    ...(changeSummary ? [{ title: 'Change Summary', page: changeSummary.startPage }] : []),
+    ...drawingEntries.map(d => ({ title: d.label, page: d.startPage })),
+    ...(meta.sections || []).map(sec => ({ title: sec.title, page: qirFinalPage(sec.page) })),
+    ...certEntries.map(c => ({ title: c.label, page: c.startPage })),
+  ]);
+
   console.log(`  Final: ${merged.getPageCount()} pages`);
-  const finalBytes = Buffer.from(await merged.save());
-  if (!meta.verifiedBy || meta.verifiedBy === 'Unverified') {
+  let finalBytes = Buffer.from(await merged.save());
+
+  // meta.watermark: true = always, false = never, undefined = unverified reports only
+  const unverified = !meta.verifiedBy || meta.verifiedBy === 'Unverified';
+  if (meta.watermark === true || (meta.watermark === undefined && unverified)) {
     console.log('  Stamping UNVERIFIED watermark...');
-    return await stampWatermark(finalBytes);
+    finalBytes = await stampWatermark(finalBytes);
   }
-  return finalBytes;
+
+  // Final page numbers of every part — stored with the report history
+  const layout = {
+    totalPages:   merged.getPageCount(),
+    qirPageCount,
+    indexPage:    2,
+    indexPages,
+    changeSummary: changeSummary ? { startPage: changeSummary.startPage, pageCount: changeSummary.pageCount } : null,
+    drawingPage:  drawingEntries.length ? drawingEntries[0].startPage : null,
+    drawings:     drawingEntries.map(d => ({
+      label: d.label, url: d.url, startPage: d.startPage, pageCount: d.pageCount,
+    })),
+    qirPages:     Array.from({ length: qirPageCount }, (_, i) => qirFinalPage(i + 1)),
+    sections:     (meta.sections || []).map(sec => ({ key: sec.key, title: sec.title, page: qirFinalPage(sec.page) })),
+    certificates: certEntries.map(c => ({
+      label: c.label, url: c.url, fileType: c.fileType, startPage: c.startPage, pageCount: c.pageCount,
+    })),
+  };
+
+  // Fingerprint of the exact bytes issued — GET /verify/:reportId compares uploads with it
+  const sha256 = crypto.createHash('sha256').update(finalBytes).digest('hex');
+
+  return { buffer: finalBytes, sha256, layout, certResults: certFetchResults, failures, unsupported };
 }
 
-module.exports = { buildMergedPDF };
+module.exports = { buildMergedPDF, fetchAttachments };
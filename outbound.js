@@ -0,0 +1,95 @@
+/**
+ * outbound.js
+ * Every call that leaves the server after a report is built — S3 upload,
+ * AppSheet CheckIn / Samples rows, SMTP — goes through deliver() here:
+ *
+ *   1. the shared retry policy (retry.js: backoff + jitter, 429/5xx aware)
+ *   2. if it still fails, a dead-letter entry (deadLetter.js) that an admin
+ *      can replay later; the error is re-thrown to the caller
+ *
+ * Operations take JSON-only arguments keyed by report ID and read the PDF and
+ * parsed data back from the report history (reportStore.js), so the same
+ * function serves the live pipeline and a replay after a restart.
+ */
+
+const fs = require('fs');
+const { uploadToS3 }    = require('./awsUpload');
+const { addCheckinRow } = require('./appsheetRows');
+const { addToCheckin }  = require('./appsheetCheckin');
+const { sendQIREmail }  = require('./sendEmail');
+const { withRetry }     = require('./retry');
+const { registerOperation, addDeadLetter } = require('./deadLetter');
+const { getReport, updateReport, reportPdfPath } = require('./reportStore');
+const { latestUploadedUrl } = require('./revisions');
+
+function loadReport(reportId) {
+  const report = getReport(reportId);
+  if (!report) throw new Error(`Report ${reportId} not found in history`);
+  return report;
+}
+
+function loadPdf(reportId) {
+  return fs.readFileSync(reportPdfPath(reportId));
+}
+
+// ── Operations ────────────────────────────────────────────────
+// Each resolves to a small JSON-safe result stored with the job stage.
+const OPERATIONS = {
+  /** args: { reportId, key, then: [op names to run with the new URL] } */
+  async uploadToS3({ reportId, key, then = [] }, { replay = false } = {}) {
+    const s3Url = await uploadToS3(loadPdf(reportId), key);
+    updateReport(reportId, { s3Url });
+    // A replayed upload also runs the AppSheet updates that never got to run
+    if (replay) {
+      for (const op of then) {
+        await deliver(op, { reportId, s3Url }).catch(() => {});   // dead-lettered on its own
+      }
+    }
+    return s3Url;
+  },
+
+  /** args: { reportId, s3Url } */
+  async addToCheckin({ reportId, s3Url }) {
+    await addToCheckin(loadReport(reportId).data, s3Url);
+    return null;
+  },
+
+  /** args: { reportId, s3Url } — the Report link always gets the sample's latest uploaded revision */
+  async addCheckinRow({ reportId, s3Url }) {
+    const report = loadReport(reportId);
+    const link   = latestUploadedUrl(report) || s3Url;
+    if (link !== s3Url) console.log(`  Newer revision already uploaded — Report link kept at ${link}`);
+    await addCheckinRow(report.data, link);
+    return null;
+  },
+
+  /** args: { reportId } */
+  async sendQIREmail({ reportId }) {
+    const report = loadReport(reportId);
+    const info   = await sendQIREmail(report.data, loadPdf(reportId), report.filename, { failures: report.failures });
+    const messageId = info ? info.messageId : null;
+    updateReport(reportId, { emailMessageId: messageId });
+    return { messageId };
+  },
+};
+
+for (const [name, fn] of Object.entries(OPERATIONS)) {
+  registerOperation(name, (args) => fn(args, { replay: true }));
+}
+
+/**
+ * Run an operation with retries; dead-letter it if it still fails.
+ * @param {string} op   — key of OPERATIONS
+ * @param {object} args — JSON-serialisable arguments
+ * @returns {Promise<*>} the operation's result
+ */
+async function deliver(op, args) {
+  try {
+    return await withRetry(op, () => OPERATIONS[op](args));
+  } catch (err) {
+    addDeadLetter(op, args, err);
+    throw err;
+  }
+}
+
+module.exports = { deliver };
@@ -0,0 +1,157 @@
+/**
+ * payloadSchema.js
+ * Declarative schema for the AppSheet payload (Sample + Related_Inspection).
+ *
+ * validatePayload() walks the schema and collects EVERY field-level problem
+ * instead of stopping at the first one.
+ *   strict  — any problem makes the payload invalid (server answers 422)
+ *   lenient — only structural problems are fatal; the rest come back as
+ *             warnings, parsePayload applies its usual fallbacks and the
+ *             warnings are printed in the report's "Data Warnings" box
+ *
+ * Field spec keys:
+ *   type      'string' | 'number' | 'boolean' | 'tolerance' | 'list'
+ *             ('number' accepts numeric strings; 'tolerance' anything
+ *             tolerance.js understands, e.g. "25 ±0.1" or "min 45 HRC";
+ *             'list' an array or comma-separated text)
+ *   required  value must be present and non-blank
+ *   oneOf     allowed values (case-insensitive)
+ *   only      row field is only checked for these inspection types
+ *   fallback  what parsePayload does with a bad value — appended to warnings
+ *
+ * Env vars:
+ *   VALIDATION_MODE  — 'lenient' (default) | 'strict'
+ */
+
+const { parseSpec } = require('./tolerance');
+
+const DIM_TYPES  = ['dimension', 'dimensional'];
+const VIS_TYPES  = ['visual'];
+const DOC_TYPES  = ['test', 'certificate', 'report', 'attachment'];
+const INSPECTION_TYPES = [...DIM_TYPES, ...VIS_TYPES, ...DOC_TYPES];
+
+const SAMPLE_SCHEMA = {
+  sample_id:       { type: 'string', required: true, fallback: 'a generated report number is used' },
+  title:           { type: 'string' },
+  part_number:     { type: 'string' },
+  part_name:       { type: 'string' },
+  customer_name:   { type: 'string' },
+  created_at:      { type: 'string', fallback: "today's date is used" },
+  created_by:      { type: 'string' },
+  timestamp:       { type: 'string' },
+  inspection_map:  { type: 'string' },
+  drawings:        { type: 'list', fallback: 'drawings ignored' },
+  qty:             { type: 'number' },
+  samples_checked: { type: 'number' },
+  verified_by:     { type: 'string' },
+  add_to_checkin:  { type: 'boolean', fallback: 'treated as false' },
+  status_source:   { type: 'string', oneOf: ['entered', 'computed'], fallback: 'entered status wins' },
+  capability_stats: { type: 'boolean', fallback: 'treated as false' },
+  cpk_threshold:   { type: 'number', fallback: 'default threshold (1.33) used' },
+  branding:        { type: 'string', fallback: 'profile chosen by customer name' },
+  fit_certs_a4:    { type: 'boolean', fallback: 'treated as false' },
+  revision_reason: { type: 'string' },
+  change_summary:  { type: 'boolean', fallback: 'treated as false' },
+};
+
+const ROW_SCHEMA = {
+  inspection_type: { type: 'string', required: true, oneOf: INSPECTION_TYPES, fallback: 'row dropped' },
+  parameter:       { type: 'string', required: true },
+  min_req:         { type: 'tolerance', only: DIM_TYPES, fallback: 'range check skipped' },
+  max_req:         { type: 'tolerance', only: DIM_TYPES, fallback: 'range check skipped' },
+  status:          { type: 'string', oneOf: ['pass', 'fail', 'doubt'], only: [...DIM_TYPES, ...VIS_TYPES], fallback: 'shown uncoloured' },
+  test_doc:        { type: 'string', required: true, only: DOC_TYPES, fallback: 'document not attached' },
+  qc_photo:        { type: 'string', only: [...DIM_TYPES, ...VIS_TYPES], fallback: 'photo ignored' },
+  qc_photos:       { type: 'list',   only: [...DIM_TYPES, ...VIS_TYPES], fallback: 'photos ignored' },
+  balloon_x:       { type: 'number', only: DIM_TYPES, fallback: 'balloon not drawn' },
+  balloon_y:       { type: 'number', only: DIM_TYPES, fallback: 'balloon not drawn' },
+  balloon_drawing: { type: 'number', only: DIM_TYPES, fallback: 'first drawing used' },
+  balloon_page:    { type: 'number', only: DIM_TYPES, fallback: 'first page used' },
+};
+
+// ── Helpers ──────────────────────────────────────────────────
+
+const isBlank   = (v) => v === undefined || v === null || String(v).trim() === '';
+const isNumeric = (v) => typeof v === 'number' ? isFinite(v) : /^[-+]?(\d+\.?\d*|\.\d+)$/.test(String(v).trim());
+const isBoolish = (v) => typeof v === 'boolean' || ['true', 'false'].includes(String(v).trim().toLowerCase());
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/** Check one value against its spec. Returns an error message or null. */
+function checkField(value, spec) {
+  if (isBlank(value)) return spec.required ? 'is required' : null;
+  if (spec.type === 'number'  && !isNumeric(value)) return `"${value}" is not a number`;
+  if (spec.type === 'boolean' && !isBoolish(value)) return `"${value}" is not true/false`;
+  if (spec.type === 'tolerance' && !parseSpec(value)) return `"${value}" is not a recognised limit`;
+  if (spec.type === 'string'  && typeof value === 'object') return 'must be text';
+  if (spec.type === 'list'    && typeof value === 'object' && !Array.isArray(value)) return 'must be a list or comma-separated text';
+  if (spec.oneOf && !spec.oneOf.includes(String(value).trim().toLowerCase())) {
+    return `"${value}" is not one of: ${spec.oneOf.join(', ')}`;
+  }
+  return null;
+}
+
+/** Validate an object against a schema, pushing issues into `out`. */
+function checkObject(obj, schema, pathPrefix, out, { rowType = null, label = null } = {}) {
+  for (const [field, spec] of Object.entries(schema)) {
+    if (spec.only && !spec.only.includes(rowType)) continue;
+    const message = checkField(obj[field], spec);
+    if (message) out.push({ path: `${pathPrefix}.${field}`, label, message, fallback: spec.fallback || null });
+  }
+}
+
+// ── Main export ──────────────────────────────────────────────
+
+/**
+ * Validate a raw AppSheet body.
+ * @param {object} body
+ * @param {object} [opts]
+ * @param {string} [opts.mode] — 'strict' | 'lenient' (default: VALIDATION_MODE env)
+ * @returns {{ valid: boolean, mode: string, errors: object[], warnings: object[] }}
+ *          issues look like { path, label, message, fallback }
+ */
+function validatePayload(body, { mode } = {}) {
+  mode = String(mode || process.env.VALIDATION_MODE || 'lenient').toLowerCase() === 'strict' ? 'strict' : 'lenient';
+
+  const fatal  = [];
+  const issues = [];
+
+  if (!isPlainObject(body)) {
+    fatal.push({ path: '', message: 'payload must be a JSON object', fallback: null });
+  } else {
+    if (!isPlainObject(body.Sample)) {
+      fatal.push({ path: 'Sample', message: 'is required and must be an object', fallback: null });
+    } else {
+      checkObject(body.Sample, SAMPLE_SCHEMA, 'Sample', issues);
+    }
+
+    const rows = body.Related_Inspection;
+    if (rows !== undefined && !Array.isArray(rows)) {
+      fatal.push({ path: 'Related_Inspection', message: 'must be an array', fallback: null });
+    } else {
+      (rows || []).forEach((row, i) => {
+        const path = `Related_Inspection[${i}]`;
+        if (!isPlainObject(row)) {
+          issues.push({ path, message: 'must be an object', fallback: 'row dropped' });
+          return;
+        }
+        const type = String(row.inspection_type || '').toLowerCase().trim();
+        checkObject(row, ROW_SCHEMA, path, issues, {
+          rowType: INSPECTION_TYPES.includes(type) ? type : null,
+          label:   isBlank(row.parameter) ? null : String(row.parameter).trim(),
+        });
+      });
+    }
+  }
+
+  const errors   = mode === 'strict' ? [...fatal, ...issues] : fatal;
+  const warnings = mode === 'strict' ? [] : issues;
+  return { valid: errors.length === 0, mode, errors, warnings };
+}
+
+/** One-line human form of an issue, e.g. for the report's warning box. */
+function formatIssue(issue) {
+  const where = issue.label ? `${issue.path} ("${issue.label}")` : issue.path;
+  return `${where}: ${issue.message}${issue.fallback ? ` — ${issue.fallback}` : ''}`;
+}
+
+module.exports = { INSPECTION_TYPES, SAMPLE_SCHEMA, ROW_SCHEMA, validatePayload, formatIssue };
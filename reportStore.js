@@ -0,0 +1,156 @@
+/**
+ * reportStore.js
+ * File-based history of every generated report.
+ *
+ * Layout under DATA_DIR/reports/:
+ *   index.json   — summary of every report (what GET /reports filters over)
+ *   <id>.json    — full record: parsed data, page layout, cert fetch results,
+ *                  documents left out of the PDF (failures) and unsupported
+ *                  attachments listed in its index (unsupported)
+ *   <id>.pdf     — the merged PDF exactly as emailed
+ *
+ * Each record carries the revision it was issued as (revisions.js);
+ * reportsFor() lists every report of one sample for the revision history.
+ *
+ * A report's ID is the ID of the job that produced it, so a job resumed after
+ * a restart overwrites its own record instead of adding a second one.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { dataPath, ensureDir, readJSON, writeJSON } = require('./dataStore');
+
+const REPORTS_DIR = dataPath('reports');
+const INDEX_FILE  = path.join(REPORTS_DIR, 'index.json');
+
+// Fields copied into index.json — everything GET /reports needs to filter and list
+const SUMMARY_FIELDS = [
+  'id', 'jobId', 'status', 'createdAt', 'updatedAt', 'filename',
+  'report_no', 'revision', 'revisionNo', 'revisionReason',
+  'title', 'customer', 'part_number', 'part_name', 'created_by',
+  'submission_date', 'verified_by', 'verified', 'totalPages',
+  's3Url', 'emailMessageId', 'error', 'sha256',
+];
+
+const isSafeId = (id) => /^[a-f0-9-]+$/i.test(String(id));
+const recordFile = (id) => path.join(REPORTS_DIR, `${id}.json`);
+
+function summarize(record) {
+  return Object.fromEntries(SUMMARY_FIELDS.map(k => [k, record[k] ?? null]));
+}
+
+function writeRecord(record) {
+  writeJSON(recordFile(record.id), record);
+  const index = readJSON(INDEX_FILE, []).filter(r => r.id !== record.id);
+  index.push(summarize(record));
+  writeJSON(INDEX_FILE, index);
+  return record;
+}
+
+/**
+ * Save a freshly merged report (PDF + metadata).
+ * @param {object} opts
+ * @param {string} opts.id          — job ID
+ * @param {object} opts.data        — parsed payload from parsePayload
+ * @param {string} opts.filename    — attachment filename
+ * @param {Buffer} opts.pdf         — merged PDF bytes
+ * @param {object} opts.layout      — page layout from buildMergedPDF
+ * @param {Array}  opts.certResults — cert fetch results from buildMergedPDF
+ * @param {Array}  [opts.failures]  — documents left out of the PDF, from buildMergedPDF
+ * @param {string} [opts.sha256]    — hash of the PDF bytes, from buildMergedPDF
+ * @returns {object} the stored record
+ */
+function saveReport({ id, data, filename, pdf, layout, certResults, failures = [], unsupported = [], sha256 = null }) {
+  ensureDir(REPORTS_DIR);
+  fs.writeFileSync(reportPdfPath(id), pdf);
+
+  const now = new Date().toISOString();
+  const existing = readJSON(recordFile(id), null);
+  return writeRecord({
+    id,
+    jobId:           id,
+    status:          'generated',
+    createdAt:       existing ? existing.createdAt : now,
+    updatedAt:       now,
+    filename,
+    report_no:       data.report_no,
+    revision:        data.revision ? data.revision.label  : null,
+    revisionNo:      data.revision ? data.revision.number : null,
+    revisionReason:  data.revision ? data.revision.reason : null,
+    title:           data.title,
+    customer:        data.customer,
+    part_number:     data.part_number,
+    part_name:       data.part_name,
+    created_by:      data.created_by,
+    submission_date: data.submission_date,
+    verified_by:     data.verified_by,
+    verified:        !!data.verified_by && data.verified_by !== 'Unverified',
+    totalPages:      layout ? layout.totalPages : null,
+    s3Url:           null,
+    emailMessageId:  null,
+    error:           null,
+    sha256,
+    layout,
+    certResults,
+    failures,
+    unsupported,
+    data,
+  });
+}
+
+/** Merge fields into an existing record. Returns the record or null. */
+function updateReport(id, patch) {
+  const record = getReport(id);
+  if (!record) return null;
+  return writeRecord({ ...record, ...patch, updatedAt: new Date().toISOString() });
+}
+
+/** Full record, or null. */
+function getReport(id) {
+  if (!isSafeId(id)) return null;
+  return readJSON(recordFile(id), null);
+}
+
+/** Path of the stored PDF (may not exist). */
+function reportPdfPath(id) {
+  return path.join(REPORTS_DIR, `${id}.pdf`);
+}
+
+/** Summaries of every report of one sample (report_no), oldest first. */
+function reportsFor(reportNo) {
+  return readJSON(INDEX_FILE, [])
+    .filter(r => r.report_no === reportNo)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * List report summaries, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.customer]    — case-insensitive substring
+ * @param {string} [filters.part_number] — case-insensitive exact match
+ * @param {string} [filters.from]        — ISO date/time, inclusive (on createdAt)
+ * @param {string} [filters.to]          — ISO date/time, inclusive; '2026-03-31' covers the whole day
+ * @param {string} [filters.verified]    — 'true' | 'false'
+ * @param {number} [filters.limit]       — default 100
+ * @param {number} [filters.offset]      — default 0
+ * @returns {{ total: number, reports: object[] }}
+ */
+function listReports(filters = {}) {
+  const lc = (v) => String(v || '').trim().toLowerCase();
+  let rows = readJSON(INDEX_FILE, []);
+
+  if (filters.customer)    rows = rows.filter(r => lc(r.customer).includes(lc(filters.customer)));
+  if (filters.part_number) rows = rows.filter(r => lc(r.part_number) === lc(filters.part_number));
+  if (filters.from)        rows = rows.filter(r => r.createdAt >= filters.from);
+  if (filters.to)          rows = rows.filter(r => r.createdAt.slice(0, filters.to.length) <= filters.to);
+  if (filters.verified === 'true' || filters.verified === 'false') {
+    rows = rows.filter(r => r.verified === (filters.verified === 'true'));
+  }
+
+  rows.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  const limit  = Math.max(parseInt(filters.limit, 10)  || 100, 1);
+  return { total: rows.length, reports: rows.slice(offset, offset + limit) };
+}
+
+module.exports = { saveReport, updateReport, getReport, reportPdfPath, listReports, reportsFor };
@@ -0,0 +1,105 @@
+/**
+ * retry.js
+ * Shared retry policy for outbound calls (AppSheet API, S3, SMTP).
+ *
+ * Exponential backoff with full jitter: before attempt n+1 we wait a random
+ * time in [0, min(RETRY_MAX_MS, RETRY_BASE_MS * 2^n)]. A Retry-After header
+ * (AppSheet sends one with 429) takes precedence over the computed delay.
+ *
+ * Retryable:  HTTP 408 / 429 / 5xx, AWS errors flagged $retryable,
+ *             SMTP 4xx replies, network errors (reset, timeout, DNS)
+ * Permanent:  other HTTP 4xx, SMTP 5xx (auth, rejected recipient), bugs
+ *
+ * Env vars:
+ *   RETRY_ATTEMPTS  — total attempts per call (default: 4)
+ *   RETRY_BASE_MS   — first backoff ceiling (default: 1000)
+ *   RETRY_MAX_MS    — backoff ceiling cap (default: 30000)
+ */
+
+const ATTEMPTS = parseInt(process.env.RETRY_ATTEMPTS || '4', 10);
+const BASE_MS  = parseInt(process.env.RETRY_BASE_MS  || '1000', 10);
+const MAX_MS   = parseInt(process.env.RETRY_MAX_MS   || '30000', 10);
+
+const NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+  'ESOCKET', 'ECONNECTION', 'ETIMEOUT', 'EDNS',   // last four: nodemailer
+];
+
+/** HTTP status carried by an error, whichever client threw it. */
+function errorStatus(err) {
+  return err.status ?? err.statusCode ?? err.$metadata?.httpStatusCode ?? null;
+}
+
+/** Should this error be retried? */
+function isRetryable(err) {
+  if (!err) return false;
+  if (err.$retryable) return true;
+
+  const status = errorStatus(err);
+  if (status) return status === 408 || status === 429 || status >= 500;
+
+  // SMTP reply codes — 4xx are transient ("try again later"), 5xx permanent
+  if (err.responseCode) return err.responseCode >= 400 && err.responseCode < 500;
+
+  if (NETWORK_CODES.includes(err.code)) return true;
+  return err.type === 'request-timeout' || err.type === 'system';   // node-fetch
+}
+
+/** Backoff before the (attempt+1)-th try, attempt counted from 1. */
+function backoffMs(attempt, err) {
+  if (err && err.retryAfterMs) return Math.min(err.retryAfterMs, MAX_MS * 4);
+  const ceiling = Math.min(MAX_MS, BASE_MS * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (!isNaN(secs)) return Math.max(secs, 0) * 1000;
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(at - Date.now(), 0);
+}
+
+/**
+ * Error for a failed HTTP response (node-fetch), carrying what the retry
+ * policy needs: err.status to spot 429 / 5xx and err.retryAfterMs.
+ * @param {Response} res
+ * @param {string}   label — message prefix, e.g. 'AppSheet API error'
+ * @returns {Promise<Error>} to be thrown by the caller
+ */
+async function httpError(res, label) {
+  const err = new Error(`${label} ${res.status}: ${await res.text()}`);
+  err.status       = res.status;
+  err.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+  return err;
+}
+
+/**
+ * Run fn with retries.
+ * @param {string}   name — label for logs
+ * @param {Function} fn   — async () => result
+ * @param {object}   [opts]
+ * @param {number}   [opts.attempts] — override RETRY_ATTEMPTS
+ * @returns {Promise<*>} fn's result; on final failure the last error is
+ *          thrown with err.attempts set
+ */
+async function withRetry(name, fn, { attempts = ATTEMPTS } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      err.attempts = attempt;
+      if (attempt >= attempts || !isRetryable(err)) throw err;
+      const wait = backoffMs(attempt, err);
+      console.warn(`  [retry] ${name} failed (attempt ${attempt}/${attempts}): ${err.message} — retrying in ${wait} ms`);
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+}
+
+module.exports = { withRetry, isRetryable, parseRetryAfter, httpError };
@@ -0,0 +1,89 @@
+/**
+ * revisions.js
+ * Revision numbering for reports of the same sample (report_no = sample_id).
+ *
+ * Every report generated for a sample is its next revision — A, B, C… or
+ * 1, 2, 3… — with the reason for change sent as Sample.revision_reason. The
+ * revision is fixed when a job first builds its PDF and is stored with the
+ * report (reportStore.js), so a job resumed after a restart keeps it.
+ * Reports stored before revisions existed are not counted.
+ *
+ * Env vars:
+ *   REVISION_STYLE  — 'letter' (A … Z, AA, AB …) | 'number' (1, 2, 3 …) (default: letter)
+ */
+
+const { reportsFor } = require('./reportStore');
+
+const STYLE = String(process.env.REVISION_STYLE || 'letter').toLowerCase() === 'number' ? 'number' : 'letter';
+const FIRST_REASON = 'Initial issue';
+
+/** Label of the n-th revision (1-based): 1 → 'A' / '1', 27 → 'AA' / '27'. */
+function revisionLabel(n) {
+  if (STYLE === 'number') return String(n);
+  let label = '';
+  for (let i = n; i > 0; i = Math.floor((i - 1) / 26)) {
+    label = String.fromCharCode(65 + (i - 1) % 26) + label;
+  }
+  return label;
+}
+
+/** Stored reports of a sample that carry a revision, oldest revision first. */
+function revisionsOf(reportNo) {
+  return reportsFor(reportNo)
+    .filter(r => r.revisionNo)
+    .sort((a, b) => a.revisionNo - b.revisionNo);
+}
+
+// ── Main exports ─────────────────────────────────────────────
+
+/**
+ * Revision of a report about to be built, with the history for page 1.
+ * @param {string} reportNo
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]  — report / job ID; omitted for a preview (the revision it would get)
+ * @param {string} [opts.reason] — reason for change (Sample.revision_reason)
+ * @param {string} [opts.by]     — who issued it (created_by)
+ * @returns {{ number: number, label: string, reason: string,
+ *             history: Array<{ revision, date, reason, by }> }} history oldest first, ending with this one
+ */
+function planRevision(reportNo, { jobId = null, reason = '', by = '' } = {}) {
+  const stored  = revisionsOf(reportNo);
+  const own     = jobId ? stored.find(r => r.id === jobId) : null;
+  const earlier = stored.filter(r => r.id !== jobId && (!own || r.revisionNo < own.revisionNo));
+
+  const number = own ? own.revisionNo : earlier.reduce((max, r) => Math.max(max, r.revisionNo), 0) + 1;
+  const label  = own ? own.revision : revisionLabel(number);
+  const text   = String(reason || '').trim() || (number === 1 ? FIRST_REASON : '');
+  const date   = (own ? own.createdAt : new Date().toISOString()).slice(0, 10);
+
+  return {
+    number,
+    label,
+    reason: text,
+    history: [
+      ...earlier.map(r => ({ revision: r.revision, date: r.createdAt.slice(0, 10), reason: r.revisionReason || '', by: r.created_by || '' })),
+      { revision: label, date, reason: text, by },
+    ],
+  };
+}
+
+/**
+ * The stored revision issued just before revision `number`.
+ * @returns {object|null} report summary (reportStore.js)
+ */
+function previousRevision(reportNo, number) {
+  return revisionsOf(reportNo).filter(r => r.revisionNo < number).pop() || null;
+}
+
+/**
+ * S3 URL of the newest uploaded revision of a report's sample, so a replayed
+ * upload of an older revision never moves the AppSheet link back.
+ * @param {object} report — record from reportStore
+ * @returns {string|null}
+ */
+function latestUploadedUrl(report) {
+  const latest = revisionsOf(report.report_no).filter(r => r.s3Url).pop();
+  return latest ? latest.s3Url : null;
+}
+
+module.exports = { planRevision, revisionsOf, previousRevision, latestUploadedUrl, revisionLabel };
@@ -1,6 +1,9 @@
 /**
  * sendEmail.js — QIR (AppSheet edition)
  * Sends merged PDF to exported_by address with bcc_email in BCC.
+ * Sender name, title and header colours come from the report's branding
+ * profile (branding.js). Documents that couldn't be included in the PDF
+ * (buildMergedPDF failures) are listed in a warning banner.
  *
  * Env vars:
  *   SMTP_USER        e.g. technology@wootz.work  OR  yourgmail@gmail.com
@@ -10,6 +13,7 @@
  */
 
 const nodemailer = require('nodemailer');
+const { resolveBranding } = require('./branding');
 let transporter;
 
 function getTransporter() {
@@ -33,12 +37,52 @@ function getTransporter() {
   return transporter;
 }
 
+// Same palette as the report's status cells (generateQIR.statusColor)
+const VERDICT_COLORS = {
+  pass:  { bg: '#C8F5C8', fg: '#1e6b1e' },
+  fail:  { bg: '#FADBD8', fg: '#a12a1f' },
+  doubt: { bg: '#FDEBD0', fg: '#8a5a12' },
+};
+
+/** Summary-table row with the overall verdict badge, or '' when there is none. */
+function verdictRow(verdict) {
+  if (!verdict) return '';
+  const c = VERDICT_COLORS[verdict.status] || VERDICT_COLORS.doubt;
+  return `
+          <tr>
+            <td style="padding:6px 0;color:#888;vertical-align:top;">Verdict</td>
+            <td style="padding:6px 0;">
+              <span style="display:inline-block;background:${c.bg};color:${c.fg};font-weight:600;padding:2px 8px;border-radius:4px;">${escapeHtml(verdict.verdict)}</span>
+              <div style="color:#555;font-size:12px;margin-top:4px;">${escapeHtml(verdict.text)}</div>
+            </td>
+          </tr>`;
+}
+
+/** Warning banner listing documents missing from the PDF, or '' when none are. */
+function failuresBanner(failures) {
+  if (!failures || !failures.length) return '';
+  const items = failures.map(f =>
+    `<li style="margin:2px 0;"><b>${escapeHtml(f.label)}</b> — ${escapeHtml(f.reason || 'unknown error')}</li>`).join('');
+  return `
+      <div style="background:#FDEBD0;padding:12px 24px;border:1px solid #e0e0e0;border-top:none;color:#8a5a12;font-size:13px;">
+        <b>⚠ ${failures.length} document(s) could not be included in this report</b>
+        <ul style="margin:6px 0 0;padding-left:18px;">${items}</ul>
+      </div>`;
+}
+
+/** Text for HTML — also used by the verification page (verification.js). */
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 /**
  * @param {object} data       full parsed data object from server.js
  * @param {Buffer} pdfBuffer  merged final PDF
  * @param {string} filename
+ * @param {object} [opts]
+ * @param {Array}  [opts.failures] — [{ label, reason }] documents left out of the PDF
  */
-async function sendQIREmail(data, pdfBuffer, filename) {
+async function sendQIREmail(data, pdfBuffer, filename, { failures = [] } = {}) {
   const to  = data.your_email || data.exported_by || '';
   const bcc = [
     data.bcc_email || '',
@@ -50,14 +94,18 @@ async function sendQIREmail(data, pdfBuffer, filename) {
     return;
   }
 
+  // Reports stored before branding profiles existed fall back to the customer match
+  const brand = data.branding || resolveBranding({ customer: data.customer });
+  const em    = brand.email;
+
   const subject = `Inspection — ${data.title} | ${data.part_number} ${new Date().toLocaleString('en-GB', { timeZone: 'Asia/Kolkata', day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false })}`;
 
   const html = `
     <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;">
-      <div style="background:#1a1a2e;padding:20px 24px; border:1px solid #e0e0e0;border-bottom:none; border-radius:8px 8px 0 0;">
-        <h2 style="color:#fff;margin:0;font-size:18px;">Quality Inspection Report</h2>
-        <p style="color:#aaa;margin:4px 0 0;font-size:13px;">${data.report_no}</p>
-      </div>
+      <div style="background:${em.headerBg};padding:20px 24px; border:1px solid #e0e0e0;border-bottom:none; border-radius:8px 8px 0 0;">
+        <h2 style="color:${em.headerText};margin:0;font-size:18px;">${brand.title}</h2>
+        <p style="color:${em.subText};margin:4px 0 0;font-size:13px;">${data.report_no}</p>
+      </div>${failuresBanner(failures)}
       <div style="background:#f9f9f9;padding:24px;border:1px solid #e0e0e0;border-top:none;">
         <table style="width:100%;border-collapse:collapse;font-size:13px;">
           <tr>
@@ -80,6 +128,7 @@ async function sendQIREmail(data, pdfBuffer, filename) {
             <td style="padding:6px 0;color:#888;">Prepared by</td>
             <td style="padding:6px 0;">${data.created_by || '—'}</td>
           </tr>
+          ${verdictRow(data.verdict)}
           <tr>
             <td style="padding:6px 0;color:#888;">Inspections</td>
             <td style="padding:6px 0;">${data.dimRows?.length || 0} dimensional,
@@ -90,17 +139,20 @@ async function sendQIREmail(data, pdfBuffer, filename) {
       </div>
       <div style="background:#fff;padding:16px 24px;border:1px solid #e0e0e0;border-top:none;border-radius:0 0 8px 8px;">
         <p style="margin:0;font-size:13px;color:#555;">
-          Compiled Quality Inspection Report with all the documents is attached.
+          Compiled ${brand.title} with all the documents is attached.
         </p>
       </div>
     </div>`;
 
   const info = await getTransporter().sendMail({
-    from:        `"Wootz.Checkin" <${process.env.SMTP_USER}>`,
+    from:        `"${em.senderName}" <${process.env.SMTP_USER}>`,
     to:          to || undefined,
     bcc:         bcc || undefined,
     subject,
-    text:        `QIR ${data.report_no} | ${data.part_name} | ${data.submission_date}\nFull report attached.`,
+    text:        `QIR ${data.report_no} | ${data.part_name} | ${data.submission_date}\n`
+               + (data.verdict ? `Verdict: ${data.verdict.verdict} — ${data.verdict.text}\n` : '')
+               + (failures.length ? `Not included: ${failures.map(f => `${f.label} (${f.reason})`).join('; ')}\n` : '')
+               + 'Full report attached.',
     html,
     attachments: [{ filename, content: pdfBuffer, contentType: 'application/pdf' }],
   });
@@ -109,4 +161,4 @@ async function sendQIREmail(data, pdfBuffer, filename) {
   return info;
 }
 
-module.exports = { sendQIREmail };
+module.exports = { sendQIREmail, escapeHtml };
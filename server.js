@@ -1,31 +1,83 @@
 /**
  * server.js — QIR Server (AppSheet edition)
  *
- * POST /generate   Receives AppSheet webhook → generates QIR PDF
- *                  → merges test cert PDFs → emails result
+ * POST /generate   Receives AppSheet webhook → queues a job and returns its ID
+ *                  Background: generates QIR PDF → merges test cert PDFs
+ *                  → uploads / updates AppSheet (if verified) → emails result
+ * POST /preview    Same payload → merged PDF returned in the response;
+ *                  nothing is uploaded, written to AppSheet or emailed; its
+ *                  QR code is a placeholder (no report ID yet)
+ * GET  /jobs/:id   Job status with per-stage status, timing and error; the
+ *                  result lists unavailableDocs — drawing / certificates that
+ *                  could not be fetched or read, with the reason — and
+ *                  unsupportedDocs, attachments that are neither PDF nor image
+ * GET  /verify/:reportId   Public verification page (the QR code on page 1
+ *                  links here) — JSON, or HTML for browsers: report details,
+ *                  status valid / superseded / unknown, verified, delivery
+ * POST /verify/:reportId   Body: the PDF (Content-Type: application/pdf) —
+ *                  match: true when its SHA-256 equals the issued report's
+ *
+ * Admin — header X-Admin-Token must equal ADMIN_TOKEN (closed when unset):
+ * GET  /reports    Report history — filters: customer, part_number,
+ *                  from, to (ISO dates), verified (true|false)
+ * GET  /reports/:id      Full record (parsed data, page layout, cert results)
+ * GET  /reports/:id/pdf  Download the merged PDF
+ * GET  /samples/:sampleId/diff   What changed between two revisions of a
+ *                  sample — ?from=A&to=B (default: the latest two);
+ *                  ?format=pdf returns it as a "Change Summary" PDF
+ * GET  /admin/dead-letters              Outbound calls that failed after retries
+ * POST /admin/dead-letters/:id/replay   Replay one (or /replay for all pending)
+ * DELETE /admin/dead-letters/:id        Discard one
  *
  * AppSheet sends:
  * {
  *   Sample: { sample_id, title, part_number, part_name, created_at,
- *             created_by, customer_name, inspection_map },
+ *             created_by, customer_name,
+ *             inspection_map, inspection_map_2..N,  // drawings (PDF / PNG / JPEG),
+ *             inspection_map_label, ...             //   each with an optional label
+ *             drawings: ["a.pdf", { url, label }],  //   or a list
+ *             branding,     // optional profile id — else chosen by customer_name
+ *             fit_certs_a4,     // true → PDF certificates fitted to A4 landscape
+ *             revision_reason,  // reason for change — each report of a sample_id
+ *                               //   is its next revision (revisions.js)
+ *             change_summary }, // true → Change Summary against the previous
+ *                               //   revision placed after the index
  *   Related_Inspection: [
  *     { inspection_type, parameter, min_req, max_req, instrument,
- *       sample_1..sample_10, status, qc_photo, comment, test_doc }
+ *       sample_1..sample_N, status, comment, test_doc,
+ *       qc_photo, qc_photo_2..qc_photo_N,          // photos — any of these,
+ *       qc_photo_caption, qc_photo_2_caption, ...  //   each with an optional caption
+ *       qc_photos: ["a.jpg", { url, caption }],    //   or a list (array / comma-separated)
+ *       balloon_x, balloon_y,                      // dim rows: balloon on the drawing, 0–1 of
+ *       balloon_drawing, balloon_page }            //   the page from its top left (default 1 / 1)
  *   ],
  *   exported_by: "user@email.com",
- *   bcc_email:   "a@b.com, c@d.com"
+ *   bcc_email:   "a@b.com, c@d.com",
+ *   force:       true,           // optional — re-run even if this exact
+ *                                //   delivery was already handled
+ *   validation:  "strict"        // optional — 'strict' | 'lenient' (see payloadSchema.js)
  * }
  */
 
 require('dotenv').config();
 
+const fs               = require('fs');
 const express          = require('express');
 const { generateQIR }  = require('./generateQIR');
-const { buildMergedPDF } = require('./mergePDFs');
-const { sendQIREmail } = require('./sendEmail');
-const { uploadToS3 } = require('./awsUpload');
-const { addCheckinRow } = require('./appsheetRows');
-const { addToCheckin } = require('./appsheetCheckin');
+const { buildMergedPDF, fetchAttachments } = require('./mergePDFs');
+const { enqueueJob, getJob, startJobQueue } = require('./jobQueue');
+const { deliveryKey, findDelivery, recordDelivery } = require('./idempotency');
+const { validatePayload, formatIssue } = require('./payloadSchema');
+const { saveReport, updateReport, getReport, reportPdfPath, listReports } = require('./reportStore');
+const { deliver } = require('./outbound');
+const { parseTolerance } = require('./tolerance');
+const { applyDerivedStatuses, buildConclusion } = require('./inspectionStatus');
+const { listDeadLetters, replayDeadLetter, deleteDeadLetter } = require('./deadLetter');
+const { resolveBranding } = require('./branding');
+const { planRevision, revisionsOf, previousRevision } = require('./revisions');
+const { diffRevisions, buildChangeSummary } = require('./changeSummary');
+const { verifyUrl, verificationInfo, verifyUpload, verificationHtml } = require('./verification');
+const { revisionKey } = require('./awsUpload');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
@@ -33,7 +85,7 @@ const PORT = process.env.PORT || 3000;
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Token');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
@@ -66,7 +118,107 @@ function appsheetFileUrl(fileName) {
 }
 
 // ── Parse AppSheet payload → internal format ──────────────────
-function parsePayload(body) {
+
+/**
+ * Sample values of a dim row from every sample_N field, any N.
+ * Positional — sample_N lands in column N, gaps become ''.
+ * Trailing empty samples are trimmed but at least 1 is kept.
+ */
+function sampleValues(row) {
+  const samples = [];
+  for (const key of Object.keys(row)) {
+    const m = key.match(/^sample_(\d+)$/);
+    if (m && parseInt(m[1], 10) >= 1) samples[parseInt(m[1], 10) - 1] = row[key] ?? '';
+  }
+  const out = Array.from(samples, v => v ?? '');
+  while (out.length > 1 && out[out.length - 1] === '') out.pop();
+  return out.length ? out : [''];
+}
+
+/**
+ * Files named by numbered fields plus a list field, in order:
+ * <base>, <base>_2..<base>_N, then <listKey>. Each numbered field may have a
+ * <field>_<textKey> companion; the list may be an array (strings or
+ * { url | file, <textKey> }) or comma/newline-separated text.
+ * Duplicates and blanks are dropped.
+ * @returns {Array<{ url, text }>}
+ */
+function fileList(obj, base, listKey, textKey) {
+  const found = [];
+  const pattern = new RegExp(`^${base}(?:_(\\d+))?$`);
+  const fields = Object.keys(obj)
+    .map(key => ({ key, m: key.match(pattern) }))
+    .filter(f => f.m)
+    .sort((a, b) => (parseInt(a.m[1] || '1', 10)) - (parseInt(b.m[1] || '1', 10)));
+  for (const { key } of fields) {
+    found.push({ file: obj[key], text: obj[`${key}_${textKey}`] });
+  }
+
+  let list = obj[listKey] || [];
+  if (typeof list === 'string') list = list.split(/[,\n]/);
+  if (Array.isArray(list)) {
+    for (const item of list) {
+      if (item && typeof item === 'object') found.push({ file: item.url || item.file, text: item[textKey] });
+      else found.push({ file: item, text: '' });
+    }
+  }
+
+  const files = [];
+  for (const { file, text } of found) {
+    const url = typeof file === 'string' ? appsheetFileUrl(file.trim()) : null;
+    if (url && !files.some(f => f.url === url)) files.push({ url, text: String(text || '').trim() });
+  }
+  return files;
+}
+
+/**
+ * QC photos of a row: qc_photo, qc_photo_2..qc_photo_N (each with an optional
+ * _caption), then qc_photos — see fileList.
+ * @returns {Array<{ url, caption }>}
+ */
+function rowPhotos(row) {
+  return fileList(row, 'qc_photo', 'qc_photos', 'caption').map(f => ({ url: f.url, caption: f.text }));
+}
+
+/**
+ * Balloon position of a dim row on a drawing — balloon_x / balloon_y are
+ * fractions (0–1) of the page as displayed, from its top-left corner;
+ * balloon_drawing and balloon_page pick the drawing and its page (1-based,
+ * default 1). Missing or out-of-range coordinates → no balloon.
+ * @returns {{ x, y, drawing, page } | null}
+ */
+function rowBalloon(row) {
+  if (row.balloon_x === undefined && row.balloon_y === undefined) return null;
+  const x = parseFloat(row.balloon_x);
+  const y = parseFloat(row.balloon_y);
+  if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) {
+    console.warn(`  ⚠ Balloon of "${row.parameter}" ignored — balloon_x / balloon_y must be 0–1`);
+    return null;
+  }
+  return {
+    x, y,
+    drawing: parseInt(row.balloon_drawing, 10) || 1,
+    page:    parseInt(row.balloon_page, 10)    || 1,
+  };
+}
+
+/**
+ * Part drawings of a sample: inspection_map, inspection_map_2..inspection_map_N
+ * (each with an optional _label, e.g. "Assembly"), then drawings — see fileList.
+ * PDFs (every page is included) or PNG / JPEG images.
+ * @returns {Array<{ url, label }>}
+ */
+function sampleDrawings(sample) {
+  return fileList(sample, 'inspection_map', 'drawings', 'label').map(f => ({ url: f.url, label: f.text }));
+}
+
+/**
+ * Report data from a raw AppSheet body.
+ * @param {object} body
+ * @param {object} [check] — validatePayload result for body; its warnings fill
+ *                           the "Data Warnings" box (default: a lenient check)
+ */
+function parsePayload(body, check = validatePayload(body, { mode: 'lenient' })) {
   const sample = body.Sample || {};
   const rows   = body.Related_Inspection || [];
 
@@ -80,35 +232,37 @@ function parsePayload(body) {
     const type = (row.inspection_type || '').toLowerCase().trim();
 
     if (type === 'dimension' || type === 'dimensional') {
-      // Build samples array — only include non-empty values
-      const samples = [];
-      for (let i = 1; i <= 10; i++) {
-        const v = row[`sample_${i}`];
-        if (v !== undefined) samples.push(v ?? '');
-      }
-      // Trim trailing empty samples but keep at least 1
-      while (samples.length > 1 && samples[samples.length - 1] === '') samples.pop();
+      const samples = sampleValues(row);
+
+      // "25 ±0.1", "≤ 0.8 Ra", "min 45 HRC"... → numeric limits + display text
+      const tol = parseTolerance(row.min_req, row.max_req);
+      const photos = rowPhotos(row);
 
       dimRows.push({
         index:      dimIdx++,
         parameter:  row.parameter   || '',
-        specificat: `${row.min_req || ''}${row.min_req && row.max_req ? ' – ' : ''}${row.max_req || ''}`,
+        specificat: tol.text,
         instrument: row.instrument  || '',
         min:        row.min_req     || '',
-        max:        row.max_req     || '',        
+        max:        row.max_req     || '',
+        tol,
         samples,
         status_1:   row.status      || '',
-        qc_photo:   appsheetFileUrl(row.qc_photo),
+        qc_photo:   photos.length ? photos[0].url : null,
+        photos,
         comment:    row.comment     || '',
+        balloon:    rowBalloon(row),
       });
 
     } else if (type === 'visual') {
+      const photos = rowPhotos(row);
       visRows.push({
         index:     visIdx++,
         parameter: row.parameter || '',
         status:    row.status    || '',
         comments:  row.comment   || '',
-        photo:     appsheetFileUrl(row.qc_photo),
+        photo:     photos.length ? photos[0].url : null,
+        photos,
       });
 
     } else if (type === 'test' || type === 'certificate' || type === 'report' || type === 'attachment' ) {
@@ -125,7 +279,10 @@ function parsePayload(body) {
   // Determine sample count from longest dim row
   const sampleCount = dimRows.reduce((max, r) => Math.max(max, r.samples.length), 1);
 
-  return {
+  const drawings = sampleDrawings(sample);
+
+  // Computed Pass/Fail + entered-vs-computed mismatches (inspectionStatus.js)
+  return applyDerivedStatuses({
     // Header fields
     report_no:       sample.sample_id    || `QIR-${Date.now()}`,
     submission_date: sample.created_at   || new Date().toISOString().split('T')[0],
@@ -145,12 +302,22 @@ function parsePayload(body) {
     verified_by:     sample.verified_by  || 'Unverified',
     add_to_checkin:  sample.add_to_checkin === true || sample.add_to_checkin === 'true',
     sample_type:     sample.sample_type || '',
+    // Logo, colours, title, footer and email look — see branding.js
+    branding:        resolveBranding({ profile: sample.branding, customer: sample.customer_name }),
+    status_source:   sample.status_source || process.env.STATUS_SOURCE || 'entered',
+    fit_certs_a4:    sample.fit_certs_a4 === true || sample.fit_certs_a4 === 'true',
+    capability_stats: sample.capability_stats === true || sample.capability_stats === 'true'
+                      || process.env.QIR_CAPABILITY_STATS === 'true',
+    cpk_threshold:   parseFloat(sample.cpk_threshold) || parseFloat(process.env.CPK_THRESHOLD) || 1.33,
     remarks:         sample.remark       || '',
+    revision_reason: sample.revision_reason || '',
+    change_summary:  sample.change_summary === true || sample.change_summary === 'true',
     timestamp:       sample.timestamp    || '',
     conclusion:      '',
     
     // Drawing / images
-    part_drawing:    appsheetFileUrl(sample.inspection_map),
+    drawings:        drawings,
+    part_drawing:    drawings.length ? drawings[0].url : null,   // first drawing — Google Sheets log
     insp_image:      null,
 
     // Inspection data
@@ -164,76 +331,239 @@ function parsePayload(body) {
 
     // Cert PDFs — passed separately to buildMergedPDF
     certificates: certDocs,
+
+    // Lenient-mode schema warnings — printed in the "Data Warnings" box
+    warnings:        check.warnings.map(formatIssue),
+  });
+}
+
+// ── Options for buildMergedPDF ────────────────────────────────
+function mergeOptions(data, extra = {}) {
+  return {
+    reportNo:       data.report_no,
+    partName:       data.part_name,
+    date:           data.submission_date,
+    drawings:       data.drawings,            // [{ url, label }] — mergePDFs fetches & inserts every page
+    // Numbered balloons on the drawings, coloured by the shown status
+    balloons:       data.dimRows.filter(r => r.balloon).map(r => ({ number: r.index, status: r.status_1, ...r.balloon })),
+    hasDim:         data.dimRows.length  > 0,
+    hasVis:         data.visRows.length  > 0,
+    verifiedBy:     data.verified_by,
+    branding:       data.branding,
+    fitCertsToA4:   data.fit_certs_a4,
+    ...extra,
   };
 }
 
-// ── Main endpoint ─────────────────────────────────────────────
-app.post('/generate', async (req, res) => {
-  const startTime = Date.now();
+// ── Revision of this report + history for page 1 (revisions.js) ──
+// jobId omitted for a preview — it shows the revision the report would get.
+function withRevision(data, jobId = null) {
+  const revision = planRevision(data.report_no, { jobId, reason: data.revision_reason, by: data.created_by });
+  return { ...data, revision };
+}
 
-  try {
-    // ── RAW payload from AppSheet ──
-    console.log('\n━━━━━━━━━━━━ RAW PAYLOAD ━━━━━━━━━━━━');
-    console.log(JSON.stringify(req.body, null, 2));
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+// ── Change Summary against the previous revision (Sample.change_summary) ──
+// Returns the PDF for buildMergedPDF, or null when not asked for / first revision.
+async function changeSummaryFor(data) {
+  if (!data.change_summary) return null;
+  const previous = previousRevision(data.report_no, data.revision.number);
+  const record   = previous && getReport(previous.id);
+  if (!record) {
+    console.log('  No earlier revision — Change Summary skipped');
+    return null;
+  }
+  const diff = diffRevisions(record.data, data);
+  console.log(`  Change Summary: Rev ${record.revision} → Rev ${data.revision.label}, ${diff.changeCount} change(s)`);
+  return buildChangeSummary(diff, {
+    reportNo: data.report_no,
+    from:     { revision: record.revision, date: record.createdAt.slice(0, 10) },
+    to:       { revision: data.revision.label, date: data.revision.history[data.revision.history.length - 1].date, reason: data.revision.reason },
+    branding: data.branding,
+  });
+}
 
-    const data = parsePayload(req.body);
+// ── Fetch documents + overall verdict, before page 1 is drawn ──
+// The conclusion box on page 1 must know which certificates are missing,
+// so attachments are fetched first and handed on to buildMergedPDF.
+async function prepareReport(data) {
+  const attachments = await fetchAttachments(data.certificates, data.drawings);
+  const missingDocs = [
+    ...attachments.drawings.filter(d => !d.ok && !d.unsupported).map(d => ({ label: d.label, error: d.error })),
+    ...attachments.certs.filter(c => !c.ok && !c.unsupported).map(c => ({ label: c.label, error: c.error })),
+  ];
+  const verdict = buildConclusion(data, missingDocs);
+  if (verdict) console.log(`  Verdict: ${verdict.verdict}`);
+  return { data: { ...data, verdict, conclusion: verdict ? verdict.text : data.conclusion }, attachments };
+}
 
-    // ── Parsed result ──
-    console.log('━━━━━━━━━━━━ PARSED DATA ━━━━━━━━━━━━');
-    console.log(`  report_no:       ${data.report_no}`);
+// ── Build stored by an earlier attempt of a resumed job ───────
+// Once the PDF has left the server (upload / AppSheet / email done), it must
+// not be rebuilt: jsPDF stamps a new CreationDate, so the copy customers hold
+// would no longer match the stored sha256 at /verify.
+function deliveredBuild(job) {
+  const delivered = ['upload', 'appsheet', 'email'].some(s => job.stages[s] && job.stages[s].status === 'done');
+  const report    = delivered && getReport(job.id);
+  if (!report || !report.sha256 || !fs.existsSync(reportPdfPath(job.id))) return null;
+  return {
+    data:   report.data,
+    merged: {
+      buffer:      fs.readFileSync(reportPdfPath(job.id)),
+      sha256:      report.sha256,
+      layout:      report.layout,
+      certResults: report.certResults,
+      failures:    report.failures,
+      unsupported: report.unsupported || [],
+    },
+  };
+}
+
+// ── Report pipeline — runs inside the job queue ──────────────
+async function runReportJob(job, stage) {
+  const startTime = Date.now();
+  // Jobs queued before the parsed payload was stored with them are parsed here
+  let data = { ...withRevision(job.parsed || parsePayload(job.payload), job.id), verify_url: verifyUrl(job.id) };
+
+  // ── Parsed result ──
+  console.log('━━━━━━━━━━━━ PARSED DATA ━━━━━━━━━━━━');
+  console.log(`  report_no:       ${data.report_no}`);
+  console.log(`  revision:        ${data.revision.label}${data.revision.reason ? ` — ${data.revision.reason}` : ''}`);
 
-    const filename = `Inspection Report-${data.title}-${data.timestamp}.pdf`;
+  const filename = `Inspection Report-${data.title}-Rev ${data.revision.label}-${data.timestamp}.pdf`;
 
-    const s3FileUrlName = `${data.report_no}-${data.timestamp}.pdf`.replace(/[^a-zA-Z0-9\-_.]/g, '_');
+  // Every revision of a sample under one prefix — <sample_id>/<sample_id>-Rev-B.pdf
+  const s3FileUrlName = revisionKey(data.report_no, data.revision.label);
 
+  let merged;
+  const stored = deliveredBuild(job);
+  if (stored) {
+    console.log('\n[1–2/5] Already delivered by a previous attempt — reusing the stored PDF');
+    ({ data, merged } = stored);
+  } else {
     // 1. Generate QIR PDF (HTML → jsPDF)
-    console.log('\n[1/3] Generating QIR PDF...');
-    const qirBuffer = await generateQIR(data);
-    console.log(`  ${(qirBuffer.length / 1024).toFixed(0)} KB`);
+    console.log('\n[1/5] Generating QIR PDF...');
+    let attachments;
+    const qir = await stage('generate', async () => {
+      ({ data, attachments } = await prepareReport(data));
+      return generateQIR(data);
+    });
+    console.log(`  ${(qir.buffer.length / 1024).toFixed(0)} KB`);
 
     // 2. Merge certificates
-    console.log('\n[2/3] Merging certificates...');
-    const mergedBuffer = await buildMergedPDF(qirBuffer, data.certificates, {
-      reportNo:       data.report_no,
-      partName:       data.part_name,
-      date:           data.submission_date,
-      partDrawingUrl: data.part_drawing,        // full URL — mergePDFs fetches & inserts p.1
-      hasDrawing:     !!data.part_drawing,
-      hasDim:         data.dimRows.length  > 0,
-      hasVis:         data.visRows.length  > 0,
-      verifiedBy:     data.verified_by,
+    console.log('\n[2/5] Merging certificates...');
+    merged = await stage('merge', async () => buildMergedPDF(qir.buffer, data.certificates,
+      mergeOptions(data, { attachments, sections: qir.sections, changeSummary: await changeSummaryFor(data) })));
+    console.log(`  Merged: ${(merged.buffer.length / 1024).toFixed(0)} KB`);
+
+    // Keep a copy in the report history before anything leaves the server
+    saveReport({
+      id: job.id, data, filename, pdf: merged.buffer,
+      layout: merged.layout, certResults: merged.certResults, failures: merged.failures, unsupported: merged.unsupported,
+      sha256: merged.sha256,
     });
-    console.log(`  Merged: ${(mergedBuffer.length / 1024).toFixed(0)} KB`);
+  }
 
-    // 3. If verified — upload to Drive and append to Sheet
-    let driveUrl = null;
+  try {
+    // 3–4. If verified — upload to S3 and update AppSheet
+    // Each call retries with backoff; what still fails is dead-lettered for replay.
+    let s3Url = null;
     if (data.verified_by && data.verified_by !== 'Unverified' && data.add_to_checkin) {
+      const appsheetOps = data.sample_type === 'Production sample'
+        ? ['addToCheckin', 'addCheckinRow']
+        : ['addCheckinRow'];
       try {
         console.log('\n[3/5] Uploading to AWS_s3...');
-        driveUrl = await uploadToS3(mergedBuffer, s3FileUrlName);
- 
+        s3Url = await stage('upload', () => deliver('uploadToS3', { reportId: job.id, key: s3FileUrlName, then: appsheetOps }), { sideEffect: true });
+
         console.log('\n[4/5] Appending to Appsheet...');
-        if (data.sample_type === 'Production sample') {
-          await addToCheckin(data, driveUrl);
-          // Small delay to avoid AppSheet rate limiting
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-        await addCheckinRow(data, driveUrl);
+        await stage('appsheet', async () => {
+          const failed = [];
+          for (const op of appsheetOps) {
+            try { await deliver(op, { reportId: job.id, s3Url }); }
+            catch (e) { failed.push(`${op}: ${e.message}`); }
+          }
+          if (failed.length) throw new Error(failed.join('; '));
+        }, { sideEffect: true });
       } catch (uploadErr) {
-        // Non-fatal — log and continue to email
-        console.error('  Appsheet error (non-fatal):', uploadErr.message);
+        // Non-fatal — already dead-lettered, continue to email
+        console.error('  Upload/Appsheet error (non-fatal):', uploadErr.message);
+        if (job.stages.appsheet.status === 'pending') stage.skip('appsheet', 'upload failed — runs when the upload is replayed');
       }
+    } else {
+      stage.skip('upload',   'report not verified or add_to_checkin not set');
+      stage.skip('appsheet', 'report not verified or add_to_checkin not set');
     }
-    
-    // 4. Send email
-    console.log('\n[3/3] Sending email...');
-    await sendQIREmail(data, mergedBuffer, filename);
+
+    // 5. Send email
+    console.log('\n[5/5] Sending email...');
+    const { messageId } = await stage('email', () => deliver('sendQIREmail', { reportId: job.id }), { sideEffect: true });
+    updateReport(job.id, { status: 'done' });
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`\n✓ Done in ${elapsed}s — ${filename}\n`);
 
-    res.json({ success: true, filename, elapsed: `${elapsed}s`, certs: data.certificates.length });
+    return {
+      reportId:  job.id,
+      filename,
+      revision:  data.revision.label,
+      elapsed:   `${elapsed}s`,
+      certs:     data.certificates.length,
+      pages:     merged.layout.totalPages,
+      statusMismatches: data.statusMismatches,
+      verdict:   data.verdict ? data.verdict.verdict : null,
+      // Drawing / certificates left out of the PDF — AppSheet can flag the sample
+      unavailableDocs: merged.failures,
+      unsupportedDocs: merged.unsupported,
+      sha256:    merged.sha256,
+      verifyUrl: data.verify_url,
+      s3Url,
+      messageId,
+    };
+
+  } catch (err) {
+    updateReport(job.id, { status: 'failed', error: err.message });
+    throw err;
+  }
+}
+
+// ── Main endpoint — accepts the webhook, pipeline runs in background ──
+app.post('/generate', (req, res) => {
+  try {
+    // ── RAW payload from AppSheet ──
+    console.log('\n━━━━━━━━━━━━ RAW PAYLOAD ━━━━━━━━━━━━');
+    console.log(JSON.stringify(req.body, null, 2));
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+    // Schema check — reject with every field-level problem listed
+    const check = validatePayload(req.body, { mode: req.query.validation || req.body.validation });
+    if (!check.valid) {
+      console.warn(`  Payload rejected (${check.mode}): ${check.errors.length} problem(s)`);
+      return res.status(422).json({ error: 'Payload validation failed', mode: check.mode, issues: check.errors });
+    }
+    if (check.warnings.length) console.warn(`  Payload accepted with ${check.warnings.length} warning(s)`);
+
+    // Duplicate delivery? Answer with the first job unless a re-run is forced.
+    const key   = deliveryKey(req.body);
+    const force = req.body.force === true || req.body.force === 'true' || req.query.force === 'true';
+    const prior = !force && findDelivery(key);
+    const first = prior && getJob(prior.jobId);
+    if (first) {
+      console.log(`  Duplicate delivery — returning job ${first.id} (send force: true to re-run)`);
+      return res.json({
+        success: true, duplicate: true, jobId: first.id, status: first.status,
+        statusUrl: `/jobs/${first.id}`, result: first.result, error: first.error,
+      });
+    }
+
+    // Parsed once, here — status mismatches come back with the job ID and
+    // the job runs on the same parsed data
+    const parsed = parsePayload(req.body, check);
+    const { statusMismatches } = parsed;
+
+    const job = enqueueJob(req.body, parsed);
+    recordDelivery(key, job.id);
+    res.status(202).json({
+      success: true, jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}`, statusMismatches,
+    });
 
   } catch (err) {
     console.error('✗ Error:', err);
@@ -241,9 +571,185 @@ app.post('/generate', async (req, res) => {
   }
 });
 
+// ── Preview — merged PDF straight back, no upload / AppSheet / email ──
+// Optional `watermark` (query or body): 'on' forces the UNVERIFIED watermark,
+// 'off' suppresses it; anything else follows verified_by as usual.
+app.post('/preview', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const check = validatePayload(req.body, { mode: req.query.validation || req.body.validation });
+    if (!check.valid) {
+      return res.status(422).json({ error: 'Payload validation failed', mode: check.mode, issues: check.errors });
+    }
+
+    // A preview has no report ID yet — its QR code is a placeholder at /verify/PREVIEW
+    const parsed = { ...withRevision(parsePayload(req.body, check)), verify_url: verifyUrl('PREVIEW') };
+    console.log(`\n━━━━━━━━━━━━ PREVIEW ${parsed.report_no} ━━━━━━━━━━━━`);
+    const { data, attachments } = await prepareReport(parsed);
+
+    const wm = String(req.query.watermark || req.body.watermark || '').toLowerCase();
+    const watermark = ['on', 'true', 'force'].includes(wm) ? true
+                    : ['off', 'false', 'suppress'].includes(wm) ? false
+                    : undefined;
+
+    const qir = await generateQIR(data);
+    const { buffer: mergedBuffer } = await buildMergedPDF(qir.buffer, data.certificates,
+      mergeOptions(data, { watermark, attachments, sections: qir.sections, changeSummary: await changeSummaryFor(data) }));
+
+    const elapsed  = ((Date.now() - startTime) / 1000).toFixed(1);
+    const filename = `Preview-${data.title}-${data.timestamp}.pdf`.replace(/[^a-zA-Z0-9\-_. ]/g, '_');
+    console.log(`\n✓ Preview done in ${elapsed}s — ${(mergedBuffer.length / 1024).toFixed(0)} KB\n`);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    res.setHeader('X-Status-Mismatches', String(data.statusMismatches.length));
+    res.send(mergedBuffer);
+
+  } catch (err) {
+    console.error('✗ Preview error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Job status ────────────────────────────────────────────────
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(job);
+});
+
+// ── Admin token ───────────────────────────────────────────────
+// Report history, revision diffs and dead letters require header
+// X-Admin-Token = ADMIN_TOKEN; with no ADMIN_TOKEN set they stay closed.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(503).json({ error: 'Admin endpoints are disabled — ADMIN_TOKEN not set' });
+  if (req.get('X-Admin-Token') !== token) return res.status(401).json({ error: 'Unauthorized' });
+  next();
+}
+
+// ── Report history ────────────────────────────────────────────
+// GET /reports?customer=&part_number=&from=&to=&verified=&limit=&offset=
+app.get('/reports', requireAdmin, (req, res) => {
+  res.json(listReports(req.query));
+});
+
+app.get('/reports/:id', requireAdmin, (req, res) => {
+  const report = getReport(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Report not found' });
+  res.json(report);
+});
+
+app.get('/reports/:id/pdf', requireAdmin, (req, res) => {
+  const report = getReport(req.params.id);
+  if (!report || !fs.existsSync(reportPdfPath(report.id))) {
+    return res.status(404).json({ error: 'Report PDF not found' });
+  }
+  res.download(reportPdfPath(report.id), report.filename);
+});
+
+// ── Revision diff ─────────────────────────────────────────────
+// GET /samples/:sampleId/diff?from=A&to=B&format=pdf — compares the parsed
+// data stored with each revision; to defaults to the latest, from to the one before
+app.get('/samples/:sampleId/diff', requireAdmin, async (req, res) => {
+  const revisions = revisionsOf(req.params.sampleId);
+  const pick = (label) => revisions.find(r => String(r.revision).toLowerCase() === String(label).trim().toLowerCase());
+
+  const to   = req.query.to ? pick(req.query.to) : revisions[revisions.length - 1];
+  const from = req.query.from ? pick(req.query.from) : to && revisions[revisions.indexOf(to) - 1];
+  if (!from || !to) {
+    return res.status(404).json({
+      error: revisions.length < 2 ? 'Sample has fewer than two revisions' : 'Revision not found',
+      revisions: revisions.map(r => r.revision),
+    });
+  }
+  if (from.id === to.id) return res.status(400).json({ error: 'from and to are the same revision' });
+
+  const older = getReport(from.id), newer = getReport(to.id);
+  if (!older || !newer) return res.status(404).json({ error: 'Stored report data not found' });
+
+  const diff = diffRevisions(older.data, newer.data);
+  const info = (r) => ({ revision: r.revision, reportId: r.id, date: r.createdAt.slice(0, 10), reason: r.revisionReason || '' });
+
+  if (req.query.format === 'pdf') {
+    try {
+      const pdf = await buildChangeSummary(diff, {
+        reportNo: req.params.sampleId, from: info(older), to: info(newer), branding: newer.data.branding,
+      });
+      const filename = `Change Summary-${req.params.sampleId}-Rev ${from.revision} to ${to.revision}.pdf`.replace(/[^a-zA-Z0-9\-_. ]/g, '_');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+      return res.send(pdf);
+    } catch (err) {
+      console.error('✗ Change Summary error:', err);
+      return res.status(500).json({ error: err.message });
+    }
+  }
+  res.json({ sample_id: req.params.sampleId, from: info(older), to: info(newer), ...diff });
+});
+
+// ── Public verification ──────────────────────────────────────
+// No admin token — customers of our customers open it from the QR code.
+app.get('/verify/:reportId', (req, res) => {
+  const info = verificationInfo(req.params.reportId);
+  const code = info.status === 'unknown' ? 404 : 200;
+  if (req.accepts(['json', 'html']) === 'html') return res.status(code).type('html').send(verificationHtml(info));
+  res.status(code).json(info);
+});
+
+app.post('/verify/:reportId', express.raw({ type: ['application/pdf', 'application/octet-stream'], limit: '50mb' }), (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Send the PDF as the request body (Content-Type: application/pdf)' });
+  }
+  const result = verifyUpload(req.params.reportId, req.body);
+  console.log(`  Verify ${req.params.reportId}: ${result.status}, ${result.match ? 'hash matches' : 'hash does not match'}`);
+  res.status(result.status === 'unknown' ? 404 : 200).json(result);
+});
+
+// ── Admin: dead letters ──────────────────────────────────────
+// GET /admin/dead-letters?status=pending|replayed
+app.get('/admin/dead-letters', requireAdmin, (req, res) => {
+  res.json({ deadLetters: listDeadLetters(req.query.status) });
+});
+
+app.post('/admin/dead-letters/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const outcome = await replayDeadLetter(req.params.id);
+    if (!outcome) return res.status(404).json({ error: 'Dead letter not found' });
+    res.status(outcome.error ? 502 : 200).json({ success: !outcome.error, ...outcome });
+  } catch (err) {
+    console.error('✗ Replay error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replay every pending entry, one after another
+app.post('/admin/dead-letters/replay', requireAdmin, async (req, res) => {
+  try {
+    const results = [];
+    for (const entry of listDeadLetters('pending')) {
+      const outcome = await replayDeadLetter(entry.id);
+      results.push({ id: entry.id, op: entry.op, success: !outcome.error, error: outcome.error || null });
+    }
+    res.json({ replayed: results.filter(r => r.success).length, failed: results.filter(r => !r.success).length, results });
+  } catch (err) {
+    console.error('✗ Replay error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/admin/dead-letters/:id', requireAdmin, (req, res) => {
+  if (!deleteDeadLetter(req.params.id)) return res.status(404).json({ error: 'Dead letter not found' });
+  res.json({ success: true });
+});
+
 app.listen(PORT, () => {
   console.log(`\nQIR Server (AppSheet) on port ${PORT}\n`);
+  startJobQueue(runReportJob);
   if (!process.env.SMTP_USER)       console.warn('⚠  SMTP_USER not set');
   if (!process.env.SMTP_PASSWORD)   console.warn('⚠  SMTP_PASSWORD not set');
   if (!process.env.APPSHEET_APP_NAME) console.warn('⚠  APPSHEET_APP_NAME not set (using default)');
+  if (!process.env.ADMIN_TOKEN)     console.warn('⚠  ADMIN_TOKEN not set — /reports, /samples and /admin endpoints are disabled');
+  if (!process.env.PUBLIC_URL)      console.warn('⚠  PUBLIC_URL not set — no verification QR code on reports');
 });
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeCapability } = require('../capability');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test('mean, min, max, range, σ, Cp and Cpk with both limits', () => {
+  const c = computeCapability(['10.0', '10.2', '9.8', '10.0'], 9.5, 10.5);
+  assert.equal(c.n, 4);
+  close(c.mean, 10);
+  close(c.min, 9.8);
+  close(c.max, 10.2);
+  close(c.range, 0.4);
+  const sigma = Math.sqrt(0.08 / 3);
+  close(c.stdDev, sigma);
+  close(c.cp, 1 / (6 * sigma));
+  close(c.cpk, 0.5 / (3 * sigma));
+});
+
+test('Cpk uses the nearer limit for an off-centre mean', () => {
+  const c = computeCapability([10.3, 10.4], 9.5, 10.5);
+  close(c.cpk, (10.5 - 10.35) / (3 * c.stdDev));
+});
+
+test('one-sided Cpk and no Cp with a single limit', () => {
+  const upperOnly = computeCapability([0.5, 0.7], null, 0.8);
+  assert.equal(upperOnly.cp, null);
+  close(upperOnly.cpk, (0.8 - 0.6) / (3 * upperOnly.stdDev));
+
+  const lowerOnly = computeCapability([46, 48], 45, null);
+  assert.equal(lowerOnly.cp, null);
+  close(lowerOnly.cpk, (47 - 45) / (3 * lowerOnly.stdDev));
+});
+
+test('text and blank samples are ignored', () => {
+  const c = computeCapability(['OK', '', null, undefined, '10', '12'], 9, 13);
+  assert.equal(c.n, 2);
+  close(c.mean, 11);
+});
+
+// [label, samples, lower, upper, expected nulls]
+const cases = [
+  ['no numeric samples', ['OK', ''],     9, 11,     ['mean', 'min', 'max', 'range', 'stdDev', 'cp', 'cpk']],
+  ['one sample',         ['10'],         9, 11,     ['stdDev', 'cp', 'cpk']],
+  ['σ = 0',              ['10', '10'],   9, 11,     ['cp', 'cpk']],
+  ['no limits',          ['10', '11'],   null, null, ['cp', 'cpk']],
+];
+for (const [label, samples, lower, upper, nulls] of cases) {
+  test(`${label} gives null ${nulls.join(', ')}`, () => {
+    const c = computeCapability(samples, lower, upper);
+    for (const key of nulls) assert.equal(c[key], null, key);
+    for (const key of Object.keys(c)) if (!nulls.includes(key)) assert.ok(Number.isFinite(c[key]), key);
+  });
+}
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffRevisions } = require('../changeSummary');
+
+const dim = (index, parameter, fields = {}) => ({
+  index, parameter, specificat: '24.9 – 25.1', instrument: 'Vernier', comment: '', samples: ['25.0', '25.0'], status_1: 'Pass', ...fields,
+});
+const vis = (index, parameter, fields = {}) => ({ index, parameter, comments: '', status: 'Pass', ...fields });
+
+const base = {
+  part_name: 'Bracket LH', part_number: 'PN-1', customer: 'Acme', verified_by: 'Unverified', order_qty: '10',
+  verdict: { verdict: 'Accepted' },
+  dimRows: [dim(1, 'Length'), dim(2, 'Width')],
+  visRows: [vis(1, 'Burrs')],
+  certificates: [{ label: 'Mill cert', url: 'https://files/mill-a.pdf' }],
+};
+
+test('identical revisions have no changes', () => {
+  const diff = diffRevisions(base, structuredClone(base));
+  assert.deepEqual(diff, {
+    header: [],
+    rows: { added: [], removed: [], changed: [] },
+    certificates: { added: [], removed: [], replaced: [] },
+    changeCount: 0,
+  });
+});
+
+// [label, changes to the newer revision, expected part of the diff]
+const cases = [
+  ['header field', { part_number: 'PN-2' },
+    { header: [{ field: 'Part No.', from: 'PN-1', to: 'PN-2' }] }],
+  ['conclusion from the verdict', { verdict: { verdict: 'Rejected' } },
+    { header: [{ field: 'Conclusion', from: 'Accepted', to: 'Rejected' }] }],
+  ['added row', { visRows: [vis(1, 'Burrs'), vis(2, 'Paint')] },
+    { rows: { added: [{ type: 'Visual', index: 2, parameter: 'Paint' }], removed: [], changed: [] } }],
+  ['removed row', { dimRows: [dim(1, 'Length')] },
+    { rows: { added: [], removed: [{ type: 'Dimensional', index: 2, parameter: 'Width' }], changed: [] } }],
+  ['changed sample value and status', { dimRows: [dim(1, 'Length', { samples: ['25.0', '25.3'], status_1: 'Fail' }), dim(2, 'Width')] },
+    { rows: { added: [], removed: [], changed: [{ type: 'Dimensional', index: 1, parameter: 'Length', changes: [
+      { field: 'Sample 2', from: '25.0', to: '25.3' },
+      { field: 'Status', from: 'Pass', to: 'Fail' },
+    ] }] } }],
+  ['extra sample', { dimRows: [dim(1, 'Length', { samples: ['25.0', '25.0', '24.9'] }), dim(2, 'Width')] },
+    { rows: { added: [], removed: [], changed: [{ type: 'Dimensional', index: 1, parameter: 'Length', changes: [
+      { field: 'Sample 3', from: '', to: '24.9' },
+    ] }] } }],
+  ['added and removed certificates', { certificates: [{ label: 'Heat treatment', url: 'https://files/ht.pdf' }] },
+    { certificates: {
+      added:    [{ label: 'Heat treatment', url: 'https://files/ht.pdf' }],
+      removed:  [{ label: 'Mill cert', url: 'https://files/mill-a.pdf' }],
+      replaced: [],
+    } }],
+  ['replaced certificate', { certificates: [{ label: 'Mill cert', url: 'https://files/mill-b.pdf' }] },
+    { certificates: {
+      added: [], removed: [],
+      replaced: [{ label: 'Mill cert', from: 'https://files/mill-a.pdf', to: 'https://files/mill-b.pdf' }],
+    } }],
+];
+for (const [label, changes, expected] of cases) {
+  test(label, () => {
+    const diff = diffRevisions(base, { ...base, ...changes });
+    for (const [key, value] of Object.entries(expected)) assert.deepEqual(diff[key], value, key);
+  });
+}
+
+test('rows with the same parameter pair up by occurrence', () => {
+  const from = { ...base, dimRows: [dim(1, 'Hole'), dim(2, 'Hole')] };
+  const to   = { ...base, dimRows: [dim(1, 'Hole'), dim(2, 'Hole', { instrument: 'CMM' })] };
+  assert.deepEqual(diffRevisions(from, to).rows.changed,
+    [{ type: 'Dimensional', index: 2, parameter: 'Hole', changes: [{ field: 'Instrument', from: 'Vernier', to: 'CMM' }] }]);
+});
+
+test('changeCount counts header fields, rows, field changes and certificates', () => {
+  const diff = diffRevisions(base, {
+    ...base,
+    part_name: 'Bracket RH',
+    dimRows: [dim(1, 'Length', { samples: ['25.1', '25.1'] })],
+    visRows: [vis(1, 'Burrs'), vis(2, 'Paint')],
+    certificates: [],
+  });
+  // 1 header + 1 removed + 1 added + 2 sample changes + 1 certificate removed
+  assert.equal(diff.changeCount, 6);
+});
@@ -0,0 +1,94 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeDimStatus, applyDerivedStatuses, buildConclusion } = require('../inspectionStatus');
+
+const dimRow = (min, max, samples, status = '', parameter = 'Length') => ({ index: 1, parameter, min, max, samples, status_1: status });
+
+describe('computeDimStatus', () => {
+  // [label, min_req, max_req, samples, expected]
+  const cases = [
+    ['all in range',          '24.9',       '25.1', ['25.0', '24.95'],   'Pass'],
+    ['one out of range',      '24.9',       '25.1', ['25.0', '25.2'],    'Fail'],
+    ['on the limit',          '25 ±0.1',    '',     ['24.9', '25.1'],    'Pass'],
+    ['one-sided limit',       'min 45 HRC', '',     ['44'],              'Fail'],
+    ['text samples ignored',  '24.9',       '25.1', ['OK', '25.0'],      'Pass'],
+    ['no numeric samples',    '24.9',       '25.1', ['OK', ''],          null],
+    ['no limits',             '',           '',     ['25.0'],            null],
+    ['unrecognised limits',   'Ø 10 h7',    '',     ['10.0'],            null],
+  ];
+  for (const [label, min, max, samples, expected] of cases) {
+    test(label, () => assert.equal(computeDimStatus(dimRow(min, max, samples)), expected));
+  }
+});
+
+describe('applyDerivedStatuses', () => {
+  const data = (statusSource) => ({
+    status_source: statusSource,
+    dimRows: [
+      dimRow('24.9', '25.1', ['25.2'], 'Pass', 'Length'),
+      dimRow('24.9', '25.1', ['25.0'], 'Pass', 'Width'),
+      dimRow('',     '',     ['25.0'], 'Pass', 'Note'),
+      dimRow('24.9', '25.1', ['25.0'], '',     'Height'),
+    ],
+  });
+
+  test('entered status wins by default and mismatches are listed', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const out = applyDerivedStatuses(data());
+    assert.equal(out.status_source, 'entered');
+    assert.deepEqual(out.dimRows.map(r => r.status_1), ['Pass', 'Pass', 'Pass', '']);
+    assert.deepEqual(out.dimRows.map(r => r.status_computed), ['Fail', 'Pass', null, 'Pass']);
+    assert.deepEqual(out.dimRows.map(r => r.status_mismatch), [true, false, false, false]);
+    assert.deepEqual(out.statusMismatches, [{ index: 1, parameter: 'Length', entered: 'Pass', computed: 'Fail', shown: 'Pass' }]);
+  });
+
+  test('computed status wins when configured, entered kept when nothing is computed', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const out = applyDerivedStatuses(data('Computed'));
+    assert.equal(out.status_source, 'computed');
+    assert.deepEqual(out.dimRows.map(r => r.status_1), ['Fail', 'Pass', 'Pass', 'Pass']);
+    assert.equal(out.statusMismatches[0].shown, 'Fail');
+  });
+
+  test('data already carrying statusMismatches is returned unchanged', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const once = applyDerivedStatuses(data());
+    assert.equal(applyDerivedStatuses(once), once);
+  });
+});
+
+describe('buildConclusion', () => {
+  const rows = (dim, vis = []) => ({
+    dimRows: dim.map((s, i) => ({ parameter: `D${i + 1}`, status_1: s })),
+    visRows: vis.map((s, i) => ({ parameter: `V${i + 1}`, status: s })),
+  });
+  const missing = [{ label: 'Material Cert', error: 'HTTP 404' }];
+
+  // [label, data, missingDocs, verdict, status]
+  const cases = [
+    ['all pass',                 rows(['Pass', 'pass'], ['Pass']), [],      'Accepted',                'pass'],
+    ['any fail',                 rows(['Pass', 'Fail'], ['Doubt']), missing, 'Rejected',                'fail'],
+    ['a doubt',                  rows(['Pass'], ['Doubt']),        [],      'Accepted with Deviation', 'doubt'],
+    ['a missing document',       rows(['Pass']),                   missing, 'Accepted with Deviation', 'doubt'],
+    ['only a missing document',  rows([]),                         missing, 'Accepted with Deviation', 'doubt'],
+  ];
+  for (const [label, data, missingDocs, verdict, status] of cases) {
+    test(label, () => {
+      const c = buildConclusion(data, missingDocs);
+      assert.equal(c.verdict, verdict);
+      assert.equal(c.status, status);
+    });
+  }
+
+  test('counts, failing parameters and missing documents in the text', () => {
+    const c = buildConclusion(rows(['Pass', 'Fail', 'N/A'], ['Fail']), missing);
+    assert.deepEqual(c.counts, { pass: 1, fail: 2, doubt: 0 });
+    assert.deepEqual(c.failing, ['D2', 'V1']);
+    assert.equal(c.text, '1 Pass, 2 Fail, 0 Doubt across 3 dimensional and 1 visual checks. '
+      + 'Failing: D2, V1. Not available: Material Cert.');
+  });
+
+  test('nothing to judge gives null', () => {
+    assert.equal(buildConclusion(rows(['', 'N/A'])), null);
+  });
+});
@@ -0,0 +1,83 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePayload, formatIssue } = require('../payloadSchema');
+
+const payload = (sample = {}, rows = []) => ({
+  Sample: { sample_id: 'S-100', title: 'Bracket', ...sample },
+  Related_Inspection: rows,
+});
+const dim = (fields = {}) => ({ inspection_type: 'Dimension', parameter: 'Length', min_req: '24.9', max_req: '25.1', status: 'Pass', ...fields });
+
+describe('validatePayload', () => {
+  test('a clean payload is valid in both modes', () => {
+    const body = payload({}, [dim(), { inspection_type: 'Visual', parameter: 'Burrs', status: 'Doubt' }]);
+    for (const mode of ['strict', 'lenient']) {
+      assert.deepEqual(validatePayload(body, { mode }), { valid: true, mode, errors: [], warnings: [] });
+    }
+  });
+
+  // [label, body, fatal path]
+  const fatal = [
+    ['not an object',          [1],                                        ''],
+    ['no Sample',              { Related_Inspection: [] },                 'Sample'],
+    ['rows not an array',      { Sample: { sample_id: 'S' }, Related_Inspection: {} }, 'Related_Inspection'],
+  ];
+  for (const [label, body, path] of fatal) {
+    test(`${label} is invalid even in lenient mode`, () => {
+      const result = validatePayload(body, { mode: 'lenient' });
+      assert.equal(result.valid, false);
+      assert.deepEqual(result.errors.map(e => e.path), [path]);
+    });
+  }
+
+  // [label, body, issue paths]
+  const issues = [
+    ['missing sample_id',       payload({ sample_id: '' }),                       ['Sample.sample_id']],
+    ['non-numeric qty',         payload({ qty: 'ten' }),                          ['Sample.qty']],
+    ['bad boolean',             payload({ change_summary: 'maybe' }),             ['Sample.change_summary']],
+    ['unknown status_source',   payload({ status_source: 'auto' }),               ['Sample.status_source']],
+    ['unknown inspection type', payload({}, [dim({ inspection_type: 'Audit' })]), ['Related_Inspection[0].inspection_type']],
+    ['unrecognised limit',      payload({}, [dim({ min_req: 'Ø 10 h7' })]),       ['Related_Inspection[0].min_req']],
+    ['bad status',              payload({}, [dim({ status: 'OK' })]),             ['Related_Inspection[0].status']],
+    ['row not an object',       payload({}, ['x']),                               ['Related_Inspection[0]']],
+    ['certificate without file', payload({}, [{ inspection_type: 'Certificate', parameter: 'Mill cert' }]), ['Related_Inspection[0].test_doc']],
+    ['every problem at once',   payload({ sample_id: '', qty: 'ten' }, [dim({ max_req: 'abc' })]),
+      ['Sample.sample_id', 'Sample.qty', 'Related_Inspection[0].max_req']],
+  ];
+  for (const [label, body, paths] of issues) {
+    test(`${label}: strict error, lenient warning`, () => {
+      const strict = validatePayload(body, { mode: 'strict' });
+      assert.equal(strict.valid, false);
+      assert.deepEqual(strict.errors.map(e => e.path), paths);
+      assert.deepEqual(strict.warnings, []);
+
+      const lenient = validatePayload(body, { mode: 'lenient' });
+      assert.equal(lenient.valid, true);
+      assert.deepEqual(lenient.errors, []);
+      assert.deepEqual(lenient.warnings.map(w => w.path), paths);
+    });
+  }
+
+  test('row fields are only checked for their inspection types', () => {
+    const body = payload({}, [{ inspection_type: 'Visual', parameter: 'Burrs', min_req: 'abc', balloon_x: 'left' }]);
+    assert.deepEqual(validatePayload(body, { mode: 'strict' }).errors, []);
+  });
+
+  test('the row parameter labels its issues', () => {
+    const [issue] = validatePayload(payload({}, [dim({ min_req: 'abc' })]), { mode: 'lenient' }).warnings;
+    assert.equal(issue.label, 'Length');
+    assert.equal(issue.fallback, 'range check skipped');
+  });
+});
+
+describe('formatIssue', () => {
+  test('with a label and a fallback', () => {
+    assert.equal(formatIssue({ path: 'Related_Inspection[0].min_req', label: 'Length', message: '"abc" is not a recognised limit', fallback: 'range check skipped' }),
+      'Related_Inspection[0].min_req ("Length"): "abc" is not a recognised limit — range check skipped');
+  });
+
+  test('without either', () => {
+    assert.equal(formatIssue({ path: 'Sample', message: 'is required and must be an object', fallback: null }),
+      'Sample: is required and must be an object');
+  });
+});
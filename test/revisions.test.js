@@ -0,0 +1,84 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+// reportStore reads DATA_DIR when it is first required
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'qir-revisions-'));
+delete process.env.REVISION_STYLE;
+const { saveReport, updateReport } = require('../reportStore');
+const { planRevision, previousRevision, latestUploadedUrl, revisionLabel } = require('../revisions');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+let nextId = 1;
+/** Store a report as the revision planned for it, like runReportJob does. */
+function issue(reportNo, reason = '') {
+  const id = `00000000-0000-0000-0000-${String(nextId++).padStart(12, '0')}`;
+  const revision = planRevision(reportNo, { jobId: id, reason, by: 'Ravi' });
+  saveReport({
+    id, filename: `${reportNo}.pdf`, pdf: Buffer.from('%PDF'), layout: null, certResults: [],
+    data: { report_no: reportNo, created_by: 'Ravi', revision },
+  });
+  return { id, revision };
+}
+
+describe('revisionLabel', () => {
+  const cases = [[1, 'A'], [2, 'B'], [26, 'Z'], [27, 'AA'], [28, 'AB'], [52, 'AZ'], [53, 'BA'], [702, 'ZZ'], [703, 'AAA']];
+  for (const [n, label] of cases) {
+    test(`${n} → ${label}`, () => assert.equal(revisionLabel(n), label));
+  }
+});
+
+describe('planRevision', () => {
+  test('the first report of a sample is revision A, "Initial issue"', () => {
+    const plan = planRevision('S-1', { reason: '', by: 'Ravi' });
+    assert.equal(plan.number, 1);
+    assert.equal(plan.label, 'A');
+    assert.equal(plan.reason, 'Initial issue');
+    assert.deepEqual(plan.history.map(h => [h.revision, h.reason, h.by]), [['A', 'Initial issue', 'Ravi']]);
+  });
+
+  test('each regeneration gets the next revision with the history before it', () => {
+    issue('S-2');
+    issue('S-2', 'Customer asked for hardness');
+    const plan = planRevision('S-2', { reason: 'Re-measured length' });
+    assert.equal(plan.label, 'C');
+    assert.deepEqual(plan.history.map(h => [h.revision, h.reason]),
+      [['A', 'Initial issue'], ['B', 'Customer asked for hardness'], ['C', 'Re-measured length']]);
+  });
+
+  test('a resumed job keeps its own revision and only earlier history', () => {
+    const first = issue('S-3');
+    issue('S-3', 'Second');
+    const plan = planRevision('S-3', { jobId: first.id });
+    assert.equal(plan.label, 'A');
+    assert.deepEqual(plan.history.map(h => h.revision), ['A']);
+  });
+
+  test('revisions are counted per sample', () => {
+    issue('S-4');
+    assert.equal(planRevision('S-5').label, 'A');
+  });
+});
+
+describe('previousRevision and latestUploadedUrl', () => {
+  test('the revision issued just before', () => {
+    const a = issue('S-6');
+    const b = issue('S-6', 'Second');
+    issue('S-6', 'Third');
+    assert.equal(previousRevision('S-6', 3).id, b.id);
+    assert.equal(previousRevision('S-6', 2).id, a.id);
+    assert.equal(previousRevision('S-6', 1), null);
+  });
+
+  test('the newest uploaded revision, even when an older one is uploaded later', () => {
+    const a = issue('S-7');
+    const b = issue('S-7', 'Second');
+    issue('S-7', 'Third');   // not uploaded yet
+    updateReport(b.id, { s3Url: 'https://bucket/S-7/B.pdf' });
+    const replayed = updateReport(a.id, { s3Url: 'https://bucket/S-7/A.pdf' });
+    assert.equal(latestUploadedUrl(replayed), 'https://bucket/S-7/B.pdf');
+  });
+});
@@ -0,0 +1,93 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSpec, parseTolerance, isOutOfRange } = require('../tolerance');
+
+describe('parseSpec', () => {
+  // [text, kind, lower, upper, unit, prefix]
+  const cases = [
+    ['25 ±0.1',         'bilateral', 24.9, 25.1, '',    ''],
+    ['25 +/- 0.1',      'bilateral', 24.9, 25.1, '',    ''],
+    ['Ø10 +0.05/-0.00', 'bilateral', 10,   10.05, '',   'Ø'],
+    ['10 +0.05 -0.02',  'bilateral', 9.98, 10.05, '',   ''],
+    ['25 +0.1',         'bilateral', 25,   25.1, '',    ''],
+    ['10 -0.02',        'bilateral', 9.98, 10,   '',    ''],
+    ['10.0 - 0.02',     'bilateral', 9.98, 10,   '',    ''],
+    ['24.9 - 25.1',     'range',     24.9, 25.1, '',    ''],
+    ['24.9 ~ 25.1',     'range',     24.9, 25.1, '',    ''],
+    ['24.9 to 25.1',    'range',     24.9, 25.1, '',    ''],
+    ['≤ 0.8 Ra',        'max',       null, 0.8,  'Ra',  ''],
+    ['Ra ≤ 0.8',        'max',       null, 0.8,  'Ra',  ''],
+    ['<= 0.8',          'max',       null, 0.8,  '',    ''],
+    ['max 0.8',         'max',       null, 0.8,  '',    ''],
+    ['0.8 max',         'max',       null, 0.8,  '',    ''],
+    ['≥ 45',            'min',       45,   null, '',    ''],
+    ['min 45 HRC',      'min',       45,   null, 'HRC', ''],
+    ['45 HRC min',      'min',       45,   null, 'HRC', ''],
+    ['12.5 mm',         'value',     null, null, 'mm',  ''],
+    ['±0.1',            'tolerance', null, null, '',    ''],
+    ['+0.05/-0.02',     'tolerance', null, null, '',    ''],
+  ];
+  for (const [text, kind, lower, upper, unit, prefix] of cases) {
+    test(JSON.stringify(text), () => {
+      const t = parseSpec(text);
+      assert.deepEqual({ kind: t.kind, lower: t.lower, upper: t.upper, unit: t.unit, prefix: t.prefix },
+        { kind, lower, upper, unit, prefix });
+    });
+  }
+
+  for (const text of ['', '   ', null, 'abc', '24.9-25.1', 'Ø 10 h7', '25 H7/g6']) {
+    test(`${JSON.stringify(text)} is not recognised`, () => {
+      assert.equal(parseSpec(text), null);
+    });
+  }
+});
+
+describe('parseTolerance', () => {
+  // [min_req, max_req, lower, upper, text, parsed]
+  const cases = [
+    ['10.0 - 0.02', '',         9.98, 10,   '10.0 +0/-0.02',  true],
+    ['25 +0.1',     '',         25,   25.1, '25 +0.1/-0',     true],
+    ['25',          '±0.1',     24.9, 25.1, '25 ±0.1',        true],
+    ['±0.1',        '25',       24.9, 25.1, '25 ±0.1',        true],
+    ['-0.5',        '+0.5',     -0.5, 0.5,  '-0.5 – +0.5',    true],
+    ['24.9',        '25.1',     24.9, 25.1, '24.9 – 25.1',    true],
+    ['24.9 mm',     '25.1 mm',  24.9, 25.1, '24.9 – 25.1 mm', true],
+    ['',            'max 0.8',  null, 0.8,  'Max 0.8',        true],
+    ['min 45 HRC',  '',         45,   null, 'Min 45 HRC',     true],
+    ['',            '',         null, null, '',               true],
+    ['24.9-25.1',   '',         null, null, '24.9-25.1',      false],
+    ['Ø 10 h7',     '',         null, null, 'Ø 10 h7',        false],
+    ['±0.1',        '',         null, null, '±0.1',           false],
+  ];
+  for (const [min, max, lower, upper, text, parsed] of cases) {
+    test(JSON.stringify([min, max]), () => {
+      const t = parseTolerance(min, max);
+      assert.deepEqual({ lower: t.lower, upper: t.upper, text: t.text, parsed: t.parsed },
+        { lower, upper, text, parsed });
+    });
+  }
+});
+
+describe('isOutOfRange', () => {
+  const tol = parseTolerance('25 ±0.1', '');
+  const cases = [
+    ['25.0',  false],
+    ['24.9',  false],
+    ['25.11', true],
+    ['24.8',  true],
+    ['OK',    false],
+  ];
+  for (const [value, expected] of cases) {
+    test(`${value} against 25 ±0.1`, () => assert.equal(isOutOfRange(value, tol), expected));
+  }
+
+  test('one-sided limit', () => {
+    const min = parseTolerance('min 45 HRC', '');
+    assert.equal(isOutOfRange('44', min), true);
+    assert.equal(isOutOfRange('60', min), false);
+  });
+
+  test('no limits never highlights', () => {
+    assert.equal(isOutOfRange('999', parseTolerance('', '')), false);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * tolerance.js
+ * Turns the free-text min_req / max_req of a dimensional row into numeric
+ * limits plus a unit, and a tidy string for the Specification column.
+ *
+ * Recognised forms (either field, case-insensitive, unit optional):
+ *   25 ±0.1   25 +/- 0.1          → 24.9 … 25.1      (bilateral)
+ *   Ø10 +0.05/-0.00   10 +0.05 -0.02 → 10.00 … 10.05  (unequal bilateral)
+ *   25 +0.1   10 -0.02   10.0 - 0.02 → 25 … 25.1, 9.98 … 10 (unilateral)
+ *   24.9 - 25.1   24.9 ~ 25.1   24.9 to 25.1         (range in one field)
+ *   ≤ 0.8 Ra   <= 0.8   max 0.8   0.8 max            (upper limit only)
+ *   ≥ 45   min 45 HRC   45 HRC min                   (lower limit only)
+ *   12.5 mm                                          (plain value)
+ *
+ * A " - " range needs spaces around the dash and the lower value first;
+ * otherwise the dash is a minus tolerance ("10 -0.02", "10.0 - 0.02").
+ *
+ * A plain value in min_req is the lower limit, in max_req the upper limit —
+ * unless the other field holds only a tolerance (±0.1, +0.05/-0.02), which
+ * then applies to that value as the nominal. A self-contained form (±, range,
+ * min/max) in one field wins when the other field is blank. Prefix symbols
+ * (Ø ⌀ R) are kept for display only. ISO fit classes (Ø10 h7, 25 H7/g6) are
+ * not recognised — their limits depend on the ISO 286 tables.
+ */
+
+const NUM    = '([-+]?(?:\\d+(?:\\.\\d*)?|\\.\\d+))';
+const ABS    = '(\\d+(?:\\.\\d*)?|\\.\\d+)';
+const UNIT   = '(?:\\s*([a-zµμ°%"][a-z0-9µμ°%"/·.]*))?';
+const PREFIX = /^(Ø|⌀|Φ|φ|R)\s*(?=[\d.])/i;
+const FIT    = '(?:[a-z]|js|z[abc])(?:[4-9]|1[0-8])';
+const FIT_CLASS = new RegExp(`^${FIT}(?:/${FIT})?$`, 'i');
+
+const RE = {
+  maxBefore: new RegExp(`^(?:≤|<=|<|max\\.?|maximum|up ?to)\\s*${NUM}${UNIT}$`, 'i'),
+  maxAfter:  new RegExp(`^${NUM}${UNIT}\\s+(?:max\\.?|maximum)$`, 'i'),
+  minBefore: new RegExp(`^(?:≥|>=|>|min\\.?|minimum)\\s*${NUM}${UNIT}$`, 'i'),
+  minAfter:  new RegExp(`^${NUM}${UNIT}\\s+(?:min\\.?|minimum)$`, 'i'),
+  symmetric: new RegExp(`^${NUM}\\s*(?:±|\\+/-|\\+-)\\s*${NUM}${UNIT}$`, 'i'),
+  plusMinus: new RegExp(`^${NUM}\\s*\\+\\s*${NUM}\\s*(?:/|\\s)\\s*-\\s*${NUM}${UNIT}$`, 'i'),
+  minusPlus: new RegExp(`^${NUM}\\s*-\\s*${NUM}\\s*(?:/|\\s)\\s*\\+\\s*${NUM}${UNIT}$`, 'i'),
+  plusOnly:  new RegExp(`^${NUM}\\s*\\+\\s*${ABS}${UNIT}$`, 'i'),
+  minusOnly: new RegExp(`^${NUM}\\s+-\\s*${ABS}${UNIT}$`, 'i'),
+  range:     new RegExp(`^${NUM}${UNIT}\\s*(?:–|—|~|to)\\s*${NUM}${UNIT}$`, 'i'),
+  dashRange: new RegExp(`^${NUM}${UNIT}\\s+-\\s+${NUM}${UNIT}$`, 'i'),
+  tolEqual:  new RegExp(`^(?:±|\\+/-|\\+-)\\s*${ABS}${UNIT}$`, 'i'),
+  tolUpDown: new RegExp(`^\\+\\s*${ABS}\\s*(?:/|\\s)\\s*-\\s*${ABS}${UNIT}$`, 'i'),
+  tolDownUp: new RegExp(`^-\\s*${ABS}\\s*(?:/|\\s)\\s*\\+\\s*${ABS}${UNIT}$`, 'i'),
+  value:     new RegExp(`^${NUM}${UNIT}$`, 'i'),
+};
+
+// Avoid 24.900000000000002 style limits from float arithmetic
+const round = (n) => Math.round(n * 1e9) / 1e9;
+const num   = (s) => parseFloat(s);
+
+/**
+ * Parse one spec string.
+ * @param {string} text
+ * @returns {object|null} { kind, lower, upper, nominal, unit, prefix, parts }
+ *   kind: 'bilateral' | 'range' | 'max' | 'min' | 'value' | 'tolerance'
+ *   'tolerance' — ±0.1 / +0.05/-0.02 alone, no limits until given a nominal
+ *   parts: original number strings, used to format without losing precision
+ *   null when blank or not recognised
+ */
+function parseSpec(text) {
+  let s = String(text ?? '').trim().replace(/\s+/g, ' ');
+  if (!s) return null;
+
+  let prefix = '';
+  const pm = s.match(PREFIX);
+  if (pm) { prefix = pm[1]; s = s.slice(pm[0].length); }
+
+  // A leading unit label such as "Ra ≤ 0.8" or "HRC 45 min"
+  let leadUnit = '';
+  const lu = s.match(/^([a-zµμ]{1,4})\s+(?=[≤≥<>\d.+-])/i);
+  if (lu && !/^(max|min|up)$/i.test(lu[1])) { leadUnit = lu[1]; s = s.slice(lu[0].length); }
+
+  // A fit class such as "h7" looks like a unit but isn't one — not recognised
+  const spec = (kind, lower, upper, nominal, unit, parts) => FIT_CLASS.test(unit || '') ? null
+    : ({ kind, lower, upper, nominal, unit: unit || leadUnit || '', prefix, parts });
+
+  let m;
+  if ((m = s.match(RE.maxBefore)) || (m = s.match(RE.maxAfter))) {
+    return spec('max', null, num(m[1]), null, m[2], { upper: m[1] });
+  }
+  if ((m = s.match(RE.minBefore)) || (m = s.match(RE.minAfter))) {
+    return spec('min', num(m[1]), null, null, m[2], { lower: m[1] });
+  }
+  if ((m = s.match(RE.symmetric))) {
+    const nom = num(m[1]), tol = Math.abs(num(m[2]));
+    return spec('bilateral', round(nom - tol), round(nom + tol), nom, m[3], { nominal: m[1], plus: m[2].replace(/^[-+]/, ''), minus: m[2].replace(/^[-+]/, '') });
+  }
+  if ((m = s.match(RE.plusMinus))) {
+    const nom = num(m[1]);
+    return spec('bilateral', round(nom - Math.abs(num(m[3]))), round(nom + Math.abs(num(m[2]))), nom, m[4], { nominal: m[1], plus: m[2], minus: m[3] });
+  }
+  if ((m = s.match(RE.minusPlus))) {
+    const nom = num(m[1]);
+    return spec('bilateral', round(nom - Math.abs(num(m[2]))), round(nom + Math.abs(num(m[3]))), nom, m[4], { nominal: m[1], plus: m[3], minus: m[2] });
+  }
+  if ((m = s.match(RE.dashRange)) && num(m[1]) <= num(m[3])) {
+    return spec('range', num(m[1]), num(m[3]), null, m[2] || m[4], { lower: m[1], upper: m[3] });
+  }
+  if ((m = s.match(RE.plusOnly))) {
+    const nom = num(m[1]);
+    return spec('bilateral', nom, round(nom + num(m[2])), nom, m[3], { nominal: m[1], plus: m[2], minus: '0' });
+  }
+  if ((m = s.match(RE.minusOnly))) {
+    const nom = num(m[1]);
+    return spec('bilateral', round(nom - num(m[2])), nom, nom, m[3], { nominal: m[1], plus: '0', minus: m[2] });
+  }
+  if ((m = s.match(RE.range))) {
+    const a = num(m[1]), b = num(m[3]);
+    return spec('range', Math.min(a, b), Math.max(a, b), null, m[2] || m[4],
+      a <= b ? { lower: m[1], upper: m[3] } : { lower: m[3], upper: m[1] });
+  }
+  if ((m = s.match(RE.tolEqual))) {
+    return spec('tolerance', null, null, null, m[2], { plus: m[1], minus: m[1] });
+  }
+  if ((m = s.match(RE.tolUpDown))) {
+    return spec('tolerance', null, null, null, m[3], { plus: m[1], minus: m[2] });
+  }
+  if ((m = s.match(RE.tolDownUp))) {
+    return spec('tolerance', null, null, null, m[3], { plus: m[2], minus: m[1] });
+  }
+  if ((m = s.match(RE.value))) {
+    return spec('value', null, null, num(m[1]), m[2], { nominal: m[1] });
+  }
+  return null;
+}
+
+/** A tolerance-only spec applied to the nominal of a plain value. */
+function withNominal(value, tol) {
+  const nom = value.nominal;
+  return {
+    kind:    'bilateral',
+    lower:   round(nom - num(tol.parts.minus)),
+    upper:   round(nom + num(tol.parts.plus)),
+    nominal: nom,
+    unit:    tol.unit || value.unit,
+    prefix:  value.prefix || tol.prefix,
+    parts:   { nominal: value.parts.nominal, plus: tol.parts.plus, minus: tol.parts.minus },
+  };
+}
+
+/** Display string for resolved limits. */
+function formatTolerance(t) {
+  const unit = t.unit ? ` ${t.unit}` : '';
+  const p    = t.parts || {};
+  if (t.kind === 'bilateral') {
+    return p.plus === p.minus
+      ? `${t.prefix}${p.nominal} ±${p.plus}${unit}`
+      : `${t.prefix}${p.nominal} +${p.plus}/-${p.minus}${unit}`;
+  }
+  if (t.lower !== null && t.upper !== null) return `${t.prefix}${p.lower} – ${p.upper}${unit}`;
+  if (t.upper !== null) return `Max ${t.prefix}${p.upper}${unit}`;
+  if (t.lower !== null) return `Min ${t.prefix}${p.lower}${unit}`;
+  return '';
+}
+
+/**
+ * Resolve a row's min_req / max_req into limits.
+ * @param {string} minReq
+ * @param {string} maxReq
+ * @returns {{ lower: number|null, upper: number|null, nominal: number|null,
+ *             unit: string, text: string, parsed: boolean }}
+ *   text   — Specification column string (raw text if nothing was recognised)
+ *   parsed — false when a non-blank field could not be understood
+ */
+function parseTolerance(minReq, maxReq) {
+  const rawMin = String(minReq ?? '').trim();
+  const rawMax = String(maxReq ?? '').trim();
+  const a = parseSpec(rawMin);
+  const b = parseSpec(rawMax);
+  const isValue = (t) => !!t && t.kind === 'value';
+  const isTol   = (t) => !!t && t.kind === 'tolerance';
+  // A tolerance alone means nothing without a nominal in the other field
+  const parsed = (!rawMin || !!a) && (!rawMax || !!b)
+    && (!isTol(a) || isValue(b)) && (!isTol(b) || isValue(a));
+
+  const selfContained = (t) => t && t.kind !== 'value' && t.kind !== 'tolerance';
+  let t;
+  if (isValue(a) && isTol(b))           t = withNominal(a, b);
+  else if (isTol(a) && isValue(b))      t = withNominal(b, a);
+  else if (selfContained(a) && !rawMax) t = a;
+  else if (selfContained(b) && !rawMin) t = b;
+  else {
+    // One limit from each field — a plain value is the lower (min_req) / upper (max_req) limit
+    const lower = a ? (a.kind === 'value' ? a.nominal : a.lower) : null;
+    const upper = b ? (b.kind === 'value' ? b.nominal : b.upper) : null;
+    t = {
+      kind:   'range',
+      lower, upper, nominal: null,
+      unit:   (a && a.unit) || (b && b.unit) || '',
+      prefix: (a && a.prefix) || (b && b.prefix) || '',
+      parts:  {
+        lower: a && (a.kind === 'value' ? a.parts.nominal : a.parts.lower),
+        upper: b && (b.kind === 'value' ? b.parts.nominal : b.parts.upper),
+      },
+    };
+  }
+
+  const fallbackText = `${rawMin}${rawMin && rawMax ? ' – ' : ''}${rawMax}`;
+  return {
+    lower:   t.lower   ?? null,
+    upper:   t.upper   ?? null,
+    nominal: t.nominal ?? null,
+    unit:    t.unit    || '',
+    text:    parsed ? (formatTolerance(t) || fallbackText) : fallbackText,
+    parsed,
+  };
+}
+
+/** Parsed limits of a dim row — from parsePayload, or parsed here for older data. */
+function rowTolerance(row) {
+  return row.tol || parseTolerance(row.min, row.max);
+}
+
+/**
+ * Out-of-range check for a sample value against limits from parseTolerance.
+ * Returns true (highlight red) only when:
+ *   - at least one limit is known (one-sided specs like "min 45 HRC" count)
+ *   - the sample value is numeric
+ *   - the value is strictly below the lower or above the upper limit
+ * Any text value or missing range → returns false (no highlight).
+ */
+function isOutOfRange(value, tol) {
+  if (!tol || (tol.lower === null && tol.upper === null)) return false;   // no range defined
+  const v = parseFloat(String(value).trim());
+  if (isNaN(v)) return false;                                              // text value
+  return (tol.lower !== null && v < tol.lower) || (tol.upper !== null && v > tol.upper);
+}
+
+module.exports = { parseSpec, parseTolerance, rowTolerance, isOutOfRange };
@@ -0,0 +1,425 @@
+/**
+ * unicodeFonts.js
+ * Unicode text for jsPDF (generateQIR.js, changeSummary.js) and pdf-lib (mergePDFs.js).
+ *
+ * The built-in Helvetica only covers WinAnsi (Latin-1 plus a few symbols), so
+ * "≤", Greek, Cyrillic, Devanagari, CJK... come out garbled. Characters are
+ * drawn with the first font in this chain that has a glyph for them:
+ *
+ *   1. Helvetica (built-in)      — WinAnsi; stays the look of plain Latin text
+ *   2. DejaVu Sans (bundled)     — Latin, Greek, Cyrillic, math and technical symbols
+ *   3. Noto Sans Devanagari      — Hindi, Marathi… (@fontsource/noto-sans-devanagari)
+ *   4. Noto Sans SC (subset)     — the Simplified Chinese subset of @fontsource/noto-sans-sc
+ *   5. UNICODE_FONTS             — extra TTF/OTF/WOFF files, e.g. Japanese or Korean
+ *
+ * All of it is drawn with pdf-lib: fallback fonts are embedded with
+ * embedFont(..., { subset: true }) and shaped by fontkit, so Devanagari
+ * conjuncts join. jsPDF documents opt in with useUnicode(doc): lines passed to
+ * drawText() and table cells that need a fallback font are left out of the
+ * jsPDF page and drawn over it by unicodeOutput(doc). Until then they are
+ * measured (and wrapped) with stand-in WinAnsi characters of about the same width.
+ *
+ * Env vars:
+ *   UNICODE_FONTS  — comma-separated font file paths tried after the bundled fonts
+ */
+
+require('regenerator-runtime/runtime');   // fontkit's Indic shaper expects the global regeneratorRuntime
+
+const fs      = require('fs');
+const path    = require('path');
+const zlib    = require('zlib');
+const fontkit = require('@pdf-lib/fontkit');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const fontDir = (pkg, dir) => path.join(path.dirname(require.resolve(`${pkg}/package.json`)), dir);
+const DEJAVU_DIR     = fontDir('dejavu-fonts-ttf', 'ttf');
+const DEVANAGARI_DIR = fontDir('@fontsource/noto-sans-devanagari', 'files');
+const SC_DIR         = fontDir('@fontsource/noto-sans-sc', 'files');
+
+// Fallback fonts in order — bold: null uses the regular file for bold text
+const FALLBACKS = [
+  { name: 'DejaVuSans', regular: path.join(DEJAVU_DIR, 'DejaVuSans.ttf'), bold: path.join(DEJAVU_DIR, 'DejaVuSans-Bold.ttf') },
+  { name: 'NotoSansDevanagari',
+    regular: path.join(DEVANAGARI_DIR, 'noto-sans-devanagari-devanagari-400-normal.woff'),
+    bold:    path.join(DEVANAGARI_DIR, 'noto-sans-devanagari-devanagari-700-normal.woff') },
+  { name: 'NotoSansSC',
+    regular: path.join(SC_DIR, 'noto-sans-sc-chinese-simplified-400-normal.woff'),
+    bold:    path.join(SC_DIR, 'noto-sans-sc-chinese-simplified-700-normal.woff') },
+  ...String(process.env.UNICODE_FONTS || '').split(',').map(f => f.trim()).filter(Boolean)
+    .map((file, i) => ({ name: `Unicode${i + 1}`, regular: path.resolve(file), bold: null })),
+];
+
+// WinAnsi code points beyond Latin-1 (0x80–0x9F slots)
+const WINANSI_EXTRA = new Set([
+  0x20AC, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152,
+  0x017D, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A,
+  0x0153, 0x017E, 0x0178,
+]);
+
+/** Can the built-in Helvetica draw this code point? */
+function isWinAnsi(cp) {
+  return (cp >= 0x20 && cp <= 0x7E) || (cp >= 0xA0 && cp <= 0xFF) || WINANSI_EXTRA.has(cp)
+    || cp === 0x0A || cp === 0x0D || cp === 0x09;   // line breaks / tabs — jsPDF handles them
+}
+
+// ── Font files (loaded once) ──────────────────────────────────
+
+/** Tables of a TrueType/OpenType or WOFF file: [{ tag, data }]. */
+function fontTables(buf) {
+  const tables = [];
+  if (buf.toString('latin1', 0, 4) === 'wOFF') {
+    for (let i = 0, n = buf.readUInt16BE(12); i < n; i++) {
+      const e = 44 + 20 * i;
+      const offset = buf.readUInt32BE(e + 4), compLength = buf.readUInt32BE(e + 8);
+      const data = buf.subarray(offset, offset + compLength);
+      tables.push({ tag: buf.toString('latin1', e, e + 4), data: compLength < buf.readUInt32BE(e + 12) ? zlib.inflateSync(data) : data });
+    }
+    return tables;
+  }
+  for (let i = 0, n = buf.readUInt16BE(4); i < n; i++) {
+    const e = 12 + 16 * i;
+    const offset = buf.readUInt32BE(e + 8);
+    tables.push({ tag: buf.toString('latin1', e, e + 4), data: buf.subarray(offset, offset + buf.readUInt32BE(e + 12)) });
+  }
+  return tables;
+}
+
+/** Sum of a buffer's big-endian uint32s (OpenType table checksum). */
+function checksum(buf) {
+  let sum = 0;
+  for (let o = 0; o < buf.length; o += 4) sum = (sum + buf.readUInt32BE(o)) >>> 0;
+  return sum;
+}
+
+/** TrueType/OpenType file from its tables, with table checksums and head.checkSumAdjustment set. */
+function buildSfnt(flavor, tables) {
+  const sorted = [...tables].sort((a, b) => (a.tag < b.tag ? -1 : 1));
+  const n      = sorted.length;
+  const pow2   = 2 ** Math.floor(Math.log2(n));
+  const dir    = Buffer.alloc(12 + 16 * n);
+  dir.writeUInt32BE(flavor, 0);
+  dir.writeUInt16BE(n, 4);
+  dir.writeUInt16BE(pow2 * 16, 6);
+  dir.writeUInt16BE(Math.log2(pow2), 8);
+  dir.writeUInt16BE((n - pow2) * 16, 10);
+
+  const chunks = [dir];
+  let offset = dir.length, headOffset = -1;
+  sorted.forEach((t, i) => {
+    const data = Buffer.alloc((t.data.length + 3) & ~3);   // tables are 4-byte aligned
+    Buffer.from(t.data).copy(data);
+    if (t.tag === 'head') { data.writeUInt32BE(0, 8); headOffset = offset; }
+    const e = 12 + 16 * i;
+    dir.write(t.tag, e, 'latin1');
+    dir.writeUInt32BE(checksum(data), e + 4);
+    dir.writeUInt32BE(offset, e + 8);
+    dir.writeUInt32BE(t.data.length, e + 12);
+    chunks.push(data);
+    offset += data.length;
+  });
+  const file = Buffer.concat(chunks);
+  if (headOffset >= 0) file.writeUInt32BE((0xB1B0AFBA - checksum(file)) >>> 0, headOffset + 8);
+  return file;
+}
+
+/**
+ * glyf / loca with every glyph padded to an even length, or null when they
+ * already are. fontkit's subsets (which pdf-lib embeds) store loca offsets
+ * halved, so an odd-length glyph — common in Noto Sans SC — loses its last
+ * byte and viewers drop it.
+ */
+function evenGlyphs(tables) {
+  const table = (tag) => tables.find(t => t.tag === tag);
+  const head = table('head'), loca = table('loca'), glyf = table('glyf');
+  if (!head || !loca || !glyf) return null;   // CFF outlines — no glyf
+
+  if (head.data.readInt16BE(50) !== 1) return null;   // short loca offsets are even by definition
+
+  const offset = (i) => loca.data.readUInt32BE(i * 4);
+  const count  = loca.data.length / 4 - 1;
+
+  const offsets = Buffer.alloc((count + 1) * 4);
+  const glyphs  = [];
+  let pos = 0, odd = 0;
+  for (let i = 0; i < count; i++) {
+    offsets.writeUInt32BE(pos, i * 4);
+    const data = glyf.data.subarray(offset(i), offset(i + 1));
+    if (data.length % 2) odd++;
+    glyphs.push(data.length % 2 ? Buffer.concat([data, Buffer.alloc(1)]) : data);
+    pos += glyphs[i].length;
+  }
+  if (!odd) return null;
+  offsets.writeUInt32BE(pos, count * 4);
+
+  const replaced = { loca: offsets, glyf: Buffer.concat(glyphs) };
+  return tables.map(t => (replaced[t.tag] ? { tag: t.tag, data: replaced[t.tag] } : t));
+}
+
+/** Bytes of a font file for fontkit / pdf-lib — as is, unless its glyphs need evening out. */
+function readFont(file) {
+  const bytes  = fs.readFileSync(file);
+  const flavor = bytes.readUInt32BE(bytes.toString('latin1', 0, 4) === 'wOFF' ? 4 : 0);
+  if (![0x00010000, 0x74727565].includes(flavor)) return bytes;   // CFF, or e.g. a .ttc — left to fontkit
+  const even = evenGlyphs(fontTables(bytes));
+  return even ? buildSfnt(flavor, even) : bytes;
+}
+
+const loaded = [];   // index → { regular: Buffer, bold: Buffer, glyphs: fontkit font } | null
+
+function loadFallback(i) {
+  if (loaded[i] !== undefined) return loaded[i];
+  const f = FALLBACKS[i];
+  try {
+    const regular = readFont(f.regular);
+    const bold    = f.bold ? readFont(f.bold) : regular;
+    loaded[i] = { regular, bold, glyphs: fontkit.create(regular) };
+  } catch (e) {
+    console.warn(`  ⚠ Font ${f.regular} could not be loaded — skipped: ${e.message}`);
+    loaded[i] = null;
+  }
+  return loaded[i];
+}
+
+/** Font for one code point: -1 = Helvetica, i = FALLBACKS[i], null = none has it. */
+function fontFor(cp) {
+  if (isWinAnsi(cp)) return -1;
+  for (let i = 0; i < FALLBACKS.length; i++) {
+    const f = loadFallback(i);
+    if (f && f.glyphs.hasGlyphForCodePoint(cp)) return i;
+  }
+  return null;
+}
+
+/**
+ * Split text into runs that share a font.
+ * @returns {Array<{ text: string, font: number|null }>} font as in fontFor()
+ */
+function splitRuns(text) {
+  const runs = [];
+  for (const ch of String(text ?? '')) {
+    const font = fontFor(ch.codePointAt(0));
+    const last = runs[runs.length - 1];
+    if (last && last.font === font) last.text += ch;
+    else runs.push({ text: ch, font });
+  }
+  return runs;
+}
+
+/** True when any character needs a fallback font. */
+function needsFallback(text) {
+  for (const ch of String(text ?? '')) if (!isWinAnsi(ch.codePointAt(0))) return true;
+  return false;
+}
+
+// ── pdf-lib ──────────────────────────────────────────────────
+
+/**
+ * Text helper for one pdf-lib document. Fallback fonts are embedded (subset)
+ * only if one of `texts` needs them; characters that still have no font are
+ * drawn as '?'.
+ * @param {PDFDocument} pdf
+ * @param {string[]}    texts — every string that will be drawn with the kit
+ * @returns {Promise<{ font, fontBold, width, draw }>}
+ *   width(text, size, bold)                         — total advance width
+ *   draw(page, text, { x, y, size, bold, color, rotate }) — rotate: pdf-lib degrees()
+ */
+async function createTextKit(pdf, texts = []) {
+  pdf.registerFontkit(fontkit);
+  const font     = await pdf.embedFont(StandardFonts.Helvetica);
+  const fontBold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  const needed = new Set();
+  for (const t of texts) for (const r of splitRuns(t)) if (r.font !== null && r.font >= 0) needed.add(r.font);
+  const embedded = {};   // index → { normal, bold }
+  for (const i of needed) {
+    const f = loadFallback(i);
+    const normal = await pdf.embedFont(f.regular, { subset: true });
+    embedded[i] = { normal, bold: f.bold === f.regular ? normal : await pdf.embedFont(f.bold, { subset: true }) };
+  }
+
+  // Runs with the pdf-lib font to draw each one in
+  const resolve = (text, bold) => splitRuns(String(text ?? '').replace(/[\r\n\t]+/g, ' ')).map(r => {
+    if (r.font !== null && r.font >= 0 && embedded[r.font]) return { text: r.text, font: embedded[r.font][bold ? 'bold' : 'normal'] };
+    const base = bold ? fontBold : font;
+    return { text: r.font === -1 ? r.text : '?'.repeat([...r.text].length), font: base };
+  });
+
+  const width = (text, size, bold = false) =>
+    resolve(text, bold).reduce((w, r) => w + r.font.widthOfTextAtSize(r.text, size), 0);
+
+  const draw = (page, text, { x, y, size, bold = false, color, rotate } = {}) => {
+    const rad = rotate ? rotate.angle * Math.PI / 180 : 0;
+    for (const r of resolve(text, bold)) {
+      page.drawText(r.text, { x, y, size, font: r.font, color, ...(rotate ? { rotate } : {}) });
+      const w = r.font.widthOfTextAtSize(r.text, size);
+      x += w * Math.cos(rad);
+      y += w * Math.sin(rad);
+    }
+  };
+
+  return { font, fontBold, width, draw };
+}
+
+// ── jsPDF ────────────────────────────────────────────────────
+const overlays = new WeakMap();   // doc → [{ page, text, x, y, size, bold, color, align }]
+const cellTexts = new WeakMap();  // autotable row.raw → Map(column index → { text, standIn, pos })
+const drawnCells = new WeakMap(); // autotable cell → its stand-in lines while the overlay draws them
+const standIns  = new Map();      // 'font:style' → { chars: [{ ch, w }], byCp: Map(cp → ch) }
+
+/**
+ * The WinAnsi character closest in width to code point cp's glyph in its
+ * fallback font, measured in the document's current font.
+ */
+function standInChar(doc, cp) {
+  const { fontName, fontStyle } = doc.getFont();
+  const key = `${fontName}:${fontStyle}`;
+  let table = standIns.get(key);
+  if (!table) {
+    const chars = [];
+    for (let c = 0x21; c <= 0x7E; c++) chars.push(String.fromCharCode(c));
+    chars.push('—');
+    standIns.set(key, table = { chars: chars.map(ch => ({ ch, w: doc.getStringUnitWidth(ch) })), byCp: new Map() });
+  }
+  if (!table.byCp.has(cp)) {
+    const i = fontFor(cp);
+    const f = i === null ? null : loadFallback(i);
+    const w = f ? f.glyphs.glyphForCodePoint(cp).advanceWidth / f.glyphs.unitsPerEm : doc.getStringUnitWidth('?');
+    const best = table.chars.reduce((a, b) => (Math.abs(b.w - w) < Math.abs(a.w - w) ? b : a));
+    table.byCp.set(cp, best.ch);
+  }
+  return table.byCp.get(cp);
+}
+
+/** text with every character Helvetica can't draw replaced by its stand-in — one UTF-16 unit per code point. */
+function standInText(doc, text) {
+  let out = '';
+  for (const ch of String(text ?? '')) {
+    const cp = ch.codePointAt(0);
+    out += isWinAnsi(cp) ? ch : standInChar(doc, cp);
+  }
+  return out;
+}
+
+/**
+ * The original text of lines wrapped from its stand-in. entry.pos carries on
+ * where the previous call stopped (a table cell split over two pages); a
+ * header row repeated on the next page starts over.
+ */
+function restoreLines(entry, lines) {
+  const chars = [...entry.text];
+  return lines.map(line => {
+    let at = entry.standIn.indexOf(line, entry.pos);
+    if (at < 0) at = entry.standIn.indexOf(line);
+    if (at < 0) return line;
+    entry.pos = at + line.length;
+    return chars.slice(at, at + line.length).join('');
+  });
+}
+
+/** Queue one line for unicodeOutput(), in the current font size, style and colour. */
+function queueLine(doc, text, x, y, align) {
+  if (!overlays.has(doc)) overlays.set(doc, []);
+  overlays.get(doc).push({
+    page: doc.getCurrentPageInfo().pageNumber, text, x, y, align,
+    size: doc.getFontSize(), bold: /bold/.test(doc.getFont().fontStyle), color: doc.getTextColor(),
+  });
+}
+
+/**
+ * Turn on Unicode table cells for a jsPDF document (call before its first
+ * autoTable): cells that need a fallback font are wrapped on their stand-in
+ * text, left blank, and drawn by unicodeOutput(). Sets the document's
+ * autotable defaults; each table's own hooks still run after these.
+ * @returns {jsPDF} doc
+ */
+function useUnicode(doc) {
+  overlays.set(doc, []);
+  doc.autoTableSetDefaults({
+    didParseCell: (d) => {
+      const text = d.cell.text.join('\n');
+      if (!needsFallback(text) || d.row.raw === null || typeof d.row.raw !== 'object') return;
+      const { fontName, fontStyle } = doc.getFont();
+      doc.setFont(d.cell.styles.font, d.cell.styles.fontStyle);
+      const standIn = standInText(doc, text);
+      doc.setFont(fontName, fontStyle);
+      if (!cellTexts.has(d.row.raw)) cellTexts.set(d.row.raw, new Map());
+      cellTexts.get(d.row.raw).set(d.column.index, { text, standIn, pos: 0 });
+      d.cell.text = standIn.split('\n');
+    },
+    // Same placement as autotable's own cell text (styles are applied by now)
+    willDrawCell: (d) => {
+      const entry = cellTexts.get(d.row.raw)?.get(d.column.index);
+      if (!entry || !d.cell.text.length) return;
+      const lines  = restoreLines(entry, d.cell.text);
+      const fontH  = doc.getFontSize() / doc.internal.scaleFactor;
+      const lineH  = fontH * doc.getLineHeightFactor();
+      const { x, y } = d.cell.getTextPos();
+      const { halign, valign } = d.cell.styles;
+      let top = y + fontH * (2 - 1.15);
+      if (valign === 'middle') top -= lines.length / 2 * lineH;
+      else if (valign === 'bottom') top -= lines.length * lineH;
+      const align = halign === 'center' || halign === 'right' ? halign : 'left';
+      lines.forEach((line, i) => queueLine(doc, line, x, top + i * lineH, align));
+      drawnCells.set(d.cell, d.cell.text);
+      d.cell.text = [];
+    },
+    didDrawCell: (d) => {
+      if (drawnCells.has(d.cell)) d.cell.text = drawnCells.get(d.cell);
+    },
+  });
+  return doc;
+}
+
+/** doc.getTextWidth() that measures characters Helvetica can't draw by their fallback glyphs. */
+function textWidth(doc, text) {
+  return doc.getTextWidth(standInText(doc, text));
+}
+
+/** doc.splitTextToSize() that measures characters Helvetica can't draw by their fallback glyphs. */
+function splitText(doc, text, maxWidth) {
+  const original = String(text ?? '');
+  if (!needsFallback(original)) return doc.splitTextToSize(original, maxWidth);
+  const standIn = standInText(doc, original);
+  return restoreLines({ text: original, standIn, pos: 0 }, doc.splitTextToSize(standIn, maxWidth));
+}
+
+/**
+ * Draw one line (or an array of lines) in the current font size, style and
+ * colour. Lines that need a fallback font are queued for unicodeOutput().
+ * @param {object} [opts]
+ * @param {'left'|'center'|'right'} [opts.align]
+ * @param {number} [opts.lineHeight] — mm between lines (default: 1.15 × font size)
+ */
+function drawText(doc, text, x, y, { align = 'left', lineHeight } = {}) {
+  const lines = Array.isArray(text) ? text : [text];
+  const step  = lineHeight || doc.getFontSize() * 1.15 * 25.4 / 72;
+  lines.forEach((line, li) => {
+    if (needsFallback(line)) queueLine(doc, String(line), x, y + li * step, align);
+    else doc.text(String(line ?? ''), x, y + li * step, { align });
+  });
+}
+
+/**
+ * The finished PDF of a jsPDF document, with the text queued by drawText()
+ * and Unicode table cells drawn over it.
+ * @returns {Promise<Buffer>}
+ */
+async function unicodeOutput(doc) {
+  const bytes = Buffer.from(doc.output('arraybuffer'));
+  const lines = overlays.get(doc) || [];
+  if (lines.length === 0) return bytes;
+
+  const pdf = await PDFDocument.load(bytes);
+  const kit = await createTextKit(pdf, lines.map(l => l.text));
+  const k   = doc.internal.scaleFactor;   // pt per document unit
+  for (const l of lines) {
+    const page  = pdf.getPage(l.page - 1);
+    const width = kit.width(l.text, l.size, l.bold) / k;
+    const x     = l.align === 'center' ? l.x - width / 2 : l.align === 'right' ? l.x - width : l.x;
+    const [r, g, b] = [1, 3, 5].map(o => parseInt(l.color.slice(o, o + 2), 16) / 255);
+    kit.draw(page, l.text, { x: x * k, y: page.getHeight() - l.y * k, size: l.size, bold: l.bold, color: rgb(r, g, b) });
+  }
+  return Buffer.from(await pdf.save());
+}
+
+module.exports = { createTextKit, useUnicode, drawText, splitText, textWidth, unicodeOutput, needsFallback };
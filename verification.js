@@ -0,0 +1,161 @@
+/**
+ * verification.js
+ * Public check that a forwarded PDF is a genuine, unaltered report.
+ *
+ * buildMergedPDF records the SHA-256 of the final bytes and reportStore keeps
+ * it with the report; page 1 carries a QR code pointing at
+ * GET /verify/:reportId. That page shows what was issued — never the parsed
+ * data, email addresses or S3 links — and takes an uploaded PDF whose hash
+ * must match the stored one byte for byte.
+ *
+ * Status:
+ *   valid       — generated by us and the latest revision of its sample
+ *   superseded  — generated by us, but a newer revision exists (revisions.js)
+ *   unknown     — no such report
+ * A valid hash alone doesn't make a report approved: `verified` (false for
+ * watermarked UNVERIFIED reports) and `delivery` are reported alongside.
+ *
+ * Delivery:
+ *   delivered   — emailed or uploaded to S3
+ *   pending     — built, delivery still running or waiting for a replay
+ *   failed      — the job failed before anything was delivered
+ *   not_sent    — job finished without emailing or uploading (no recipients)
+ *
+ * Env vars:
+ *   PUBLIC_URL  — base URL the QR code points at, e.g. https://qir.example.com
+ *                 (no QR code is stamped when unset)
+ */
+
+const crypto = require('crypto');
+const { getReport }   = require('./reportStore');
+const { revisionsOf } = require('./revisions');
+const { escapeHtml }  = require('./sendEmail');
+
+const PUBLIC_URL = String(process.env.PUBLIC_URL || '').trim().replace(/\/+$/, '');
+
+/** Verification link of a report, or null when PUBLIC_URL is unset. */
+function verifyUrl(reportId) {
+  return PUBLIC_URL ? `${PUBLIC_URL}/verify/${encodeURIComponent(reportId)}` : null;
+}
+
+/** Hex SHA-256 of a buffer. */
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/** Delivery state of a stored report — see the header. */
+function deliveryOf(report) {
+  if (report.emailMessageId || report.s3Url) return 'delivered';
+  if (report.status === 'failed') return 'failed';
+  if (report.status === 'done')   return 'not_sent';
+  return 'pending';
+}
+
+// ── Main exports ─────────────────────────────────────────────
+
+/**
+ * What the verification page shows about a report.
+ * @param {string} reportId
+ * @returns {object} { reportId, status, ... } — status 'unknown' when no such report was issued
+ */
+function verificationInfo(reportId) {
+  const report = getReport(reportId);
+  if (!report || !report.sha256) return { reportId, status: 'unknown' };
+  const latest = revisionsOf(report.report_no).pop();
+  const superseded = !!(latest && report.revisionNo && latest.revisionNo > report.revisionNo);
+  return {
+    reportId:        report.id,
+    status:          superseded ? 'superseded' : 'valid',
+    latestRevision:  superseded ? latest.revision : report.revision,
+    report_no:       report.report_no,
+    revision:        report.revision,
+    title:           report.title,
+    customer:        report.customer,
+    part_number:     report.part_number,
+    part_name:       report.part_name,
+    submission_date: report.submission_date,
+    verified_by:     report.verified_by,
+    verified:        !!report.verified,
+    delivery:        deliveryOf(report),
+    issuedAt:        report.createdAt,
+    totalPages:      report.totalPages,
+    sha256:          report.sha256,
+  };
+}
+
+/**
+ * Compare an uploaded PDF with the report it claims to be.
+ * @param {string} reportId
+ * @param {Buffer} buffer — uploaded file
+ * @returns {object} verificationInfo plus { match: boolean, uploadedSha256 }
+ */
+function verifyUpload(reportId, buffer) {
+  const info     = verificationInfo(reportId);
+  const uploaded = sha256(buffer);
+  return { ...info, match: info.status !== 'unknown' && uploaded === info.sha256, uploadedSha256: uploaded };
+}
+
+/**
+ * Verification page for browsers (the QR code opens it): report details and
+ * a file picker that posts the PDF back to the same URL.
+ * @param {object} info — from verificationInfo
+ * @returns {string} HTML
+ */
+function verificationHtml(info) {
+  const STATUS = {
+    valid:      ['#C8F5C8', 'Genuine report — latest revision'],
+    superseded: ['#FDEBD0', `Genuine report — superseded by revision ${escapeHtml(info.latestRevision)}`],
+    unknown:    ['#FADBD8', 'No report with this ID was issued'],
+  };
+  const DELIVERY = {
+    delivered: 'Delivered',
+    pending:   'Not delivered yet',
+    failed:    'Not delivered — generation or delivery failed',
+    not_sent:  'Not delivered — no recipients',
+  };
+  let [bg, headline] = STATUS[info.status];
+  // Generated by us, but not an approved, issued report
+  if (info.status !== 'unknown' && !info.verified) {
+    [bg, headline] = ['#FDEBD0', 'Genuine but UNVERIFIED draft — not an approved inspection report'];
+  } else if (info.status !== 'unknown' && info.delivery !== 'delivered') {
+    [bg, headline] = ['#FDEBD0', 'Genuine draft — this report was never delivered'];
+  }
+  const rows = info.status === 'unknown' ? [] : [
+    ['Report No.', `${info.report_no}${info.revision ? ` — Rev ${info.revision}` : ''}`],
+    ['Title', info.title], ['Customer', info.customer],
+    ['Part', [info.part_number, info.part_name].filter(Boolean).join(' — ')],
+    ['Date', info.submission_date],
+    ['Verified', info.verified ? `Yes — ${info.verified_by}` : 'No — UNVERIFIED (watermarked)'],
+    ['Delivery', DELIVERY[info.delivery]],
+    ['Issued', info.issuedAt], ['Pages', info.totalPages], ['SHA-256', info.sha256],
+  ];
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Report verification</title></head>
+<body style="font-family:Arial,sans-serif;max-width:640px;margin:24px auto;padding:0 12px;color:#333;">
+  <div style="background:${bg};padding:12px 16px;border-radius:4px;font-weight:bold;">${headline}</div>
+  <table style="width:100%;border-collapse:collapse;margin:16px 0;font-size:14px;">
+    ${rows.map(([k, v]) => `<tr><td style="padding:6px;border-bottom:1px solid #eee;color:#777;width:30%;">${k}</td>`
+      + `<td style="padding:6px;border-bottom:1px solid #eee;word-break:break-all;">${escapeHtml(v)}</td></tr>`).join('\n    ')}
+  </table>
+  ${info.status === 'unknown' ? '' : `<p style="font-size:14px;">Check a copy — choose the PDF you received:</p>
+  <input type="file" id="pdf" accept="application/pdf">
+  <p id="result" style="font-weight:bold;"></p>
+  <script>
+    document.getElementById('pdf').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const out = document.getElementById('result');
+      out.textContent = 'Checking...';
+      const res  = await fetch(location.pathname, { method: 'POST', headers: { 'Content-Type': 'application/pdf' }, body: file });
+      const body = await res.json();
+      out.textContent = body.match ? '✓ This file is identical to the issued report.'
+                                   : '✗ This file does not match the issued report — it has been altered or is a different report.';
+      out.style.color = body.match ? '#1e7e34' : '#c0392b';
+    });
+  </script>`}
+</body></html>`;
+}
+
+module.exports = { verifyUrl, verificationInfo, verifyUpload, verificationHtml };